@@ -0,0 +1,283 @@
+// Log de Auditoria - Histórico de mutações administrativas
+//
+// Envolve os métodos de escrita do SupabaseClient e registra, para cada
+// mudança bem-sucedida, quem fez (actor), quando, em qual entidade e os
+// valores antes/depois. Deve ser carregado depois de supabase.js.
+
+class AuditLog {
+  constructor() {
+    this.actor = null;
+    this.enabled = true;
+    this.pendingEntries = [];
+    this.maxPendingEntries = 100;
+    this.isFlushing = false;
+    this.ignoredFields = ['updated_at'];
+
+    // Métodos auditados: entidade fixa ou vinda de um argumento, e posição do id
+    this.auditedMethods = {
+      createService: { action: 'create', entity: 'services' },
+      updateService: { action: 'update', entity: 'services', idArg: 0 },
+      deleteService: { action: 'delete', entity: 'services', idArg: 0 },
+      createPackage: { action: 'create', entity: 'packages' },
+      updatePackage: { action: 'update', entity: 'packages', idArg: 0 },
+      deletePackage: { action: 'delete', entity: 'packages', idArg: 0 },
+      updateQuoteStatus: { action: 'status', entity: 'quotes', idArg: 0 },
+      updateBooking: { action: 'update', entity: 'bookings', idArg: 0 },
+      cancelBooking: { action: 'status', entity: 'bookings', idArg: 0 },
+      saveBookingRules: { action: 'update', entity: 'booking_rules' },
+      createSpacePhoto: { action: 'create', entity: 'space_photos' },
+      deleteSpacePhoto: { action: 'delete', entity: 'space_photos', idArg: 0 },
+      deleteFeaturedVideo: { action: 'delete', entity: 'featured_videos', idArg: 0 },
+      restoreFromTrash: { action: 'restore', entityArg: 0, idArg: 1 },
+      purgeFromTrash: { action: 'purge', entityArg: 0, idArg: 1 },
+      upsertServices: { entity: 'services', batch: true },
+      upsertPackages: { entity: 'packages', batch: true },
+      uploadImage: { action: 'upload', media: true },
+      deleteImage: { action: 'delete', media: true }
+    };
+  }
+
+  /**
+   * Define o usuário responsável pelas próximas mudanças quando não há sessão
+   * do Supabase Auth (backends locais). No Supabase o trigger set_audit_actor
+   * grava o usuário da sessão e ignora o actor enviado.
+   * @param {string|null} actor - Nome ou e-mail do administrador
+   */
+  setActor(actor) {
+    this.actor = actor || null;
+  }
+
+  /**
+   * Substitui os métodos auditados do cliente por versões que registram as mudanças
+   * @param {SupabaseClient} client - Cliente a instrumentar
+   */
+  instrument(client) {
+    Object.entries(this.auditedMethods).forEach(([method, config]) => {
+      const original = client[method];
+      if (typeof original !== 'function' || original.audited) return;
+
+      const audited = (...args) => this.runAudited(client, original, method, config, args);
+      audited.audited = true;
+      client[method] = audited;
+    });
+  }
+
+  async runAudited(client, original, method, config, args) {
+    if (!this.enabled) {
+      return await original.apply(client, args);
+    }
+
+    if (config.media) {
+      return await this.runAuditedMedia(client, original, method, config, args);
+    }
+
+    if (config.batch) {
+      return await this.runAuditedBatch(client, original, method, config, args);
+    }
+
+    const entity = config.entityArg !== undefined ? args[config.entityArg] : config.entity;
+    const id = config.idArg !== undefined ? args[config.idArg] : null;
+    const before = id !== null ? await this.snapshot(client, entity, id) : null;
+
+    const result = await original.apply(client, args);
+    if (!result || result.error) return result;
+
+    let after = null;
+    if (config.action !== 'purge') {
+      const returned = Array.isArray(result.data) ? result.data[0] : null;
+      after = returned || (id !== null ? await this.snapshot(client, entity, id) : null);
+    }
+
+    this.recordInBackground({
+      action: config.action,
+      entity,
+      entity_id: id !== null ? id : (after && after.id),
+      before,
+      after,
+      method
+    });
+
+    return result;
+  }
+
+  async runAuditedMedia(client, original, method, config, args) {
+    const result = await original.apply(client, args);
+    if (!result || result.error) return result;
+
+    if (config.action === 'upload') {
+      const [file, bucket = 'service-images'] = args;
+      const data = result.data || {};
+      this.recordInBackground({
+        action: 'upload',
+        entity: `storage:${bucket}`,
+        entity_id: data.path || data.fullPath,
+        before: null,
+        after: {
+          path: data.path || data.fullPath,
+          publicUrl: data.publicUrl,
+          thumbnailUrl: data.thumbnailUrl,
+          name: file && file.name,
+          size: data.size || (file && file.size),
+          type: file && file.type
+        },
+        method
+      });
+    } else {
+      const [path, bucket = 'service-images'] = args;
+      this.recordInBackground({
+        action: 'delete',
+        entity: `storage:${bucket}`,
+        entity_id: path,
+        before: { path },
+        after: null,
+        method
+      });
+    }
+
+    return result;
+  }
+
+  // Importação em lote: uma entrada por linha gravada, a partir do relatório
+  async runAuditedBatch(client, original, method, config, args) {
+    const result = await original.apply(client, args);
+    if (!result || result.error || !result.report || result.report.dryRun) return result;
+
+    for (const row of result.report.rows) {
+      if (row.action === 'invalid') continue;
+      this.recordInBackground({
+        action: row.action === 'insert' ? 'create' : 'update',
+        entity: config.entity,
+        entity_id: row.record && row.record.id,
+        before: row.before,
+        after: row.record,
+        method
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Lê o estado atual de uma linha; falhas não impedem a mutação
+   * @param {SupabaseClient} client - Cliente
+   * @param {string} table - Tabela
+   * @param {number|string} id - ID da linha
+   * @returns {Promise<Object|null>} Linha ou null
+   */
+  async snapshot(client, table, id) {
+    try {
+      return await client.getRecord(table, id);
+    } catch (error) {
+      console.warn(`⚠️ Auditoria: não foi possível ler ${table}#${id}:`, error.message);
+      return null;
+    }
+  }
+
+  // A mutação não espera pela auditoria: falhas só geram aviso
+  recordInBackground(change) {
+    this.record(change).catch(error => console.warn('⚠️ Falha ao registrar auditoria:', error));
+  }
+
+  /**
+   * Registra uma entrada de auditoria. Também usado pelo admin para mudanças
+   * feitas apenas no localStorage (entidades "site:*"). A entrada entra na
+   * fila e é enviada em segundo plano.
+   * @param {Object} change - { action, entity, entity_id, before, after, method }
+   * @returns {Promise<Object>} Entrada registrada
+   */
+  async record(change) {
+    const entry = {
+      actor: await this.resolveActor(),
+      action: change.action,
+      entity: change.entity,
+      entity_id: change.entity_id !== undefined && change.entity_id !== null ? String(change.entity_id) : null,
+      before: change.before || null,
+      after: change.after || null,
+      changed_fields: this.getChangedFields(change.before, change.after),
+      method: change.method || null,
+      created_at: new Date().toISOString()
+    };
+
+    this.pendingEntries.push(entry);
+    this.flush();
+    return entry;
+  }
+
+  /**
+   * Envia as entradas pendentes; as que falharem ficam para a próxima tentativa.
+   * Um envio por vez: entradas registradas durante o envio entram no mesmo laço.
+   */
+  async flush() {
+    if (this.isFlushing || !window.supabaseClient) return;
+
+    this.isFlushing = true;
+    try {
+      while (this.pendingEntries.length > 0) {
+        const entry = this.pendingEntries[0];
+        try {
+          await supabaseClient.createAuditEntry(entry);
+          this.pendingEntries.shift();
+        } catch (error) {
+          console.warn('⚠️ Auditoria: falha ao gravar, será reenviada:', error.message);
+          if (this.pendingEntries.length > this.maxPendingEntries) {
+            this.pendingEntries.splice(0, this.pendingEntries.length - this.maxPendingEntries);
+          }
+          return;
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  // Mesma ordem do servidor: o usuário da sessão vem antes do nome informado
+  async resolveActor() {
+    // Usuário autenticado no Supabase Auth, quando houver
+    const client = window.supabaseClient && supabaseClient.client;
+    if (client && client.auth && typeof client.auth.getUser === 'function') {
+      try {
+        const { data } = await client.auth.getUser();
+        if (data && data.user) return data.user.email || data.user.id;
+      } catch (error) {
+        // Sem sessão: cai para o nome informado ou anônimo
+      }
+    }
+
+    return this.actor || 'anônimo';
+  }
+
+  /**
+   * Lista os campos que mudaram entre dois estados
+   * @param {Object|null} before - Estado anterior
+   * @param {Object|null} after - Estado posterior
+   * @returns {Array<string>} Nomes dos campos alterados
+   */
+  getChangedFields(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    return [...fields].filter(field => {
+      if (this.ignoredFields.includes(field)) return false;
+      const previous = before ? before[field] : undefined;
+      const next = after ? after[field] : undefined;
+      return JSON.stringify(previous) !== JSON.stringify(next);
+    });
+  }
+}
+
+// Instância global do log de auditoria
+const auditLog = new AuditLog();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.auditLog = auditLog;
+
+  if (window.supabaseClient) {
+    auditLog.instrument(supabaseClient);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { auditLog, AuditLog };
+}
+
+console.log('✅ Audit Log inicializado');
@@ -0,0 +1,311 @@
+// Regras de Agendamento - Antecedência, bloqueios, capacidade e intervalos
+//
+// Motor único das regras de data: DataModels.validateBooking recusa pedidos
+// que as violam e o calendário da página inicial mostra os dias livres com as
+// mesmas regras. Cada salão configura as suas em booking_rules e
+// blackout_dates (SupabaseClient.getBookingRules chama configure()); o
+// trigger enforce_booking_rules repete as verificações no Postgres.
+//
+// Dias são contados no fuso do salão: um evento às 22h do dia 10 é do dia 10,
+// mesmo já sendo dia 11 em UTC. Dias circulam como texto 'AAAA-MM-DD'.
+
+class BookingRules {
+  constructor() {
+    this.timeZone = 'America/Fortaleza';
+    this.utcOffset = '-03:00'; // Fortaleza não tem horário de verão
+    this.dayFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+
+    // Mesmos defaults das colunas de booking_rules
+    this.defaults = {
+      min_lead_days: 7,
+      lead_days_by_event_type: { casamento: 60 },
+      max_events_per_day: 2,
+      setup_minutes: 120,
+      teardown_minutes: 60,
+      default_duration_minutes: 300,
+      block_national_holidays: true
+    };
+
+    // Feriados nacionais de data fixa (a mesma lista está em
+    // enforce_booking_rules); os móveis, como a Sexta-feira Santa, entram
+    // ano a ano em blackout_dates
+    this.nationalHolidays = {
+      '01-01': 'Confraternização Universal',
+      '04-21': 'Tiradentes',
+      '05-01': 'Dia do Trabalho',
+      '09-07': 'Independência do Brasil',
+      '10-12': 'Nossa Senhora Aparecida',
+      '11-02': 'Finados',
+      '11-15': 'Proclamação da República',
+      '11-20': 'Dia da Consciência Negra',
+      '12-25': 'Natal'
+    };
+
+    this.configure();
+  }
+
+  /**
+   * Aplica as regras do salão; campos ausentes ficam com os defaults
+   * @param {Object} rules - Linha de booking_rules (ou null)
+   * @param {Array} blackoutDates - Linhas de blackout_dates { date, reason, recurring }
+   */
+  configure(rules = null, blackoutDates = []) {
+    const source = rules || {};
+    const number = (key) => (Number.isFinite(Number(source[key])) && source[key] !== null && source[key] !== ''
+      ? Math.max(0, Math.floor(Number(source[key])))
+      : this.defaults[key]);
+    const leadDays = source.lead_days_by_event_type && typeof source.lead_days_by_event_type === 'object'
+      ? source.lead_days_by_event_type
+      : this.defaults.lead_days_by_event_type;
+
+    this.rules = {
+      min_lead_days: number('min_lead_days'),
+      lead_days_by_event_type: Object.fromEntries(Object.entries(leadDays)
+        .filter(([, days]) => Number.isFinite(Number(days)))
+        .map(([type, days]) => [this.normalizeEventType(type), Math.max(0, Math.floor(Number(days)))])),
+      max_events_per_day: Math.max(1, number('max_events_per_day')),
+      setup_minutes: number('setup_minutes'),
+      teardown_minutes: number('teardown_minutes'),
+      default_duration_minutes: Math.max(1, number('default_duration_minutes')),
+      block_national_holidays: typeof source.block_national_holidays === 'boolean'
+        ? source.block_national_holidays
+        : this.defaults.block_national_holidays
+    };
+
+    this.blackoutDates = (blackoutDates || [])
+      .filter(row => row && /^\d{4}-\d{2}-\d{2}/.test(String(row.date)))
+      .map(row => ({ date: String(row.date).slice(0, 10), reason: row.reason || '', recurring: Boolean(row.recurring) }));
+  }
+
+  // Chave do tipo de evento: minúsculas, sem acentos ('Confraternização' → 'confraternizacao')
+  normalizeEventType(eventType) {
+    return String(eventType || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  }
+
+  /**
+   * Antecedência mínima, em dias, para o tipo de evento
+   * @param {string} eventType - Tipo de evento
+   * @returns {number} Dias
+   */
+  getLeadDays(eventType) {
+    const days = this.rules.lead_days_by_event_type[this.normalizeEventType(eventType)];
+    return days === undefined ? this.rules.min_lead_days : days;
+  }
+
+  /**
+   * Dia de uma data no fuso do salão
+   * @param {Date|string} date - Data/hora ou dia 'AAAA-MM-DD'
+   * @returns {string|null} Dia 'AAAA-MM-DD' ou null se inválida
+   */
+  dayKey(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+
+    const parsed = date instanceof Date ? date : new Date(date);
+    if (isNaN(parsed.getTime())) return null;
+
+    const parts = Object.fromEntries(this.dayFormatter.formatToParts(parsed).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  /**
+   * Instante do evento. Um dia sem horário ('AAAA-MM-DD') vira meio-dia no
+   * fuso do salão, e não meia-noite UTC, que ainda é o dia anterior aqui.
+   * @param {Date|string} eventDate - Data/hora ou dia 'AAAA-MM-DD'
+   * @returns {Date} Instante (inválido se a data for inválida)
+   */
+  toEventDate(eventDate) {
+    if (typeof eventDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(eventDate)) {
+      return new Date(`${eventDate}T12:00:00${this.utcOffset}`);
+    }
+    return eventDate instanceof Date ? eventDate : new Date(eventDate);
+  }
+
+  addDays(day, days) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+  }
+
+  // 'AAAA-MM-DD' → 'DD/MM/AAAA'
+  formatDay(day) {
+    return day.split('-').reverse().join('/');
+  }
+
+  /**
+   * Bloqueio que atinge o dia: data cadastrada, data recorrente (mesmo dia e
+   * mês todo ano) ou feriado nacional
+   * @param {string} day - Dia 'AAAA-MM-DD'
+   * @returns {Object|null} { date, reason } ou null se o dia está livre
+   */
+  getBlackout(day) {
+    const monthDay = day.slice(5);
+    const blackout = this.blackoutDates.find(entry => entry.date === day || (entry.recurring && entry.date.slice(5) === monthDay));
+    if (blackout) return { date: day, reason: blackout.reason };
+
+    if (this.rules.block_national_holidays && this.nationalHolidays[monthDay]) {
+      return { date: day, reason: this.nationalHolidays[monthDay] };
+    }
+    return null;
+  }
+
+  /**
+   * Período em que o salão fica ocupado pelo evento, com montagem e desmontagem
+   * @param {Object} booking - { event_date, duration_minutes }
+   * @returns {Object} { start, end } em milissegundos
+   */
+  getOccupiedInterval(booking) {
+    const start = this.toEventDate(booking.event_date).getTime();
+    const duration = Number(booking.duration_minutes) > 0 ? Number(booking.duration_minutes) : this.rules.default_duration_minutes;
+
+    return {
+      start: start - this.rules.setup_minutes * 60000,
+      end: start + (duration + this.rules.teardown_minutes) * 60000
+    };
+  }
+
+  /**
+   * Agendamentos que ocupam o salão (cancelados não contam), sem o próprio
+   * agendamento quando ele está sendo remarcado
+   * @param {Array} bookings - Agendamentos
+   * @param {Object} booking - Agendamento verificado
+   * @returns {Array} Agendamentos ativos
+   */
+  activeBookings(bookings, booking = {}) {
+    return (bookings || []).filter(existing => existing
+      && existing.status !== 'cancelled'
+      && (booking.id === undefined || booking.id === null || String(existing.id) !== String(booking.id)));
+  }
+
+  /**
+   * Verifica um pedido de agendamento contra as regras do salão. Capacidade e
+   * intervalos só são verificados contra os agendamentos informados.
+   * @param {Object} booking - { event_date, event_type, duration_minutes, id }
+   * @param {Array} existingBookings - Agendamentos do salão em torno da data
+   * @param {Date} now - Momento de referência
+   * @returns {Array} Violações { code, message, params }, na ordem em que são verificadas
+   */
+  check(booking, existingBookings = [], now = new Date()) {
+    if (!booking || !booking.event_date) return [];
+    const day = this.dayKey(booking.event_date);
+    if (!day) return [];
+
+    const violations = [];
+    const start = this.toEventDate(booking.event_date).getTime();
+    const others = this.activeBookings(existingBookings, booking);
+
+    if (start < now.getTime()) {
+      violations.push({ code: 'past_date', message: 'Data do evento não pode ser no passado', params: {} });
+    } else {
+      const leadDays = this.getLeadDays(booking.event_type);
+      const firstDay = this.addDays(this.dayKey(now), leadDays);
+      if (day < firstDay) {
+        const subject = this.rules.lead_days_by_event_type[this.normalizeEventType(booking.event_type)] !== undefined
+          ? `Eventos do tipo ${booking.event_type}`
+          : 'Eventos';
+        violations.push({
+          code: 'lead_time',
+          message: `${subject} precisam ser agendados com ${leadDays} dias de antecedência (primeira data disponível: ${this.formatDay(firstDay)})`,
+          params: { leadDays, firstDay }
+        });
+      }
+    }
+
+    const blackout = this.getBlackout(day);
+    if (blackout) {
+      violations.push({
+        code: 'blackout',
+        message: `Não realizamos eventos em ${this.formatDay(day)}${blackout.reason ? ` (${blackout.reason})` : ''}`,
+        params: { reason: blackout.reason }
+      });
+    }
+
+    const sameDay = others.filter(existing => this.dayKey(existing.event_date) === day);
+    if (sameDay.length >= this.rules.max_events_per_day) {
+      violations.push({
+        code: 'capacity',
+        message: `Limite de ${this.rules.max_events_per_day} evento(s) por dia já atingido em ${this.formatDay(day)}`,
+        params: { maxEventsPerDay: this.rules.max_events_per_day }
+      });
+    }
+
+    const interval = this.getOccupiedInterval(booking);
+    const conflict = others.find(existing => {
+      const occupied = this.getOccupiedInterval(existing);
+      return interval.start < occupied.end && occupied.start < interval.end;
+    });
+    if (conflict) {
+      violations.push({
+        code: 'overlap',
+        message: `Horário em conflito com outro evento (reservamos ${this.rules.setup_minutes} min para montagem e ${this.rules.teardown_minutes} min para desmontagem)`,
+        params: { setupMinutes: this.rules.setup_minutes, teardownMinutes: this.rules.teardown_minutes }
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Disponibilidade de um dia para o calendário público. Sem horário, o
+   * conflito de montagem/desmontagem só é verificado ao agendar.
+   * @param {string} day - Dia 'AAAA-MM-DD'
+   * @param {string} eventType - Tipo de evento (define a antecedência)
+   * @param {Array} bookings - Agendamentos do salão no período
+   * @param {Date} now - Momento de referência
+   * @returns {Object} { date, available, code, message, remaining }
+   */
+  getDayAvailability(day, eventType, bookings = [], now = new Date()) {
+    const today = this.dayKey(now);
+    const booked = this.activeBookings(bookings).filter(existing => this.dayKey(existing.event_date) === day).length;
+    const remaining = Math.max(0, this.rules.max_events_per_day - booked);
+    const unavailable = (code, message) => ({ date: day, available: false, code, message, remaining });
+
+    if (day < today) return unavailable('past_date', 'Data passada');
+
+    const leadDays = this.getLeadDays(eventType);
+    if (day < this.addDays(today, leadDays)) {
+      return unavailable('lead_time', `Exige ${leadDays} dias de antecedência`);
+    }
+
+    const blackout = this.getBlackout(day);
+    if (blackout) return unavailable('blackout', blackout.reason || 'Data bloqueada');
+
+    if (remaining === 0) return unavailable('capacity', 'Agenda lotada');
+
+    return { date: day, available: true, code: null, message: `${remaining} horário(s) livre(s)`, remaining };
+  }
+
+  /**
+   * Disponibilidade dia a dia de um intervalo
+   * @param {string} from - Primeiro dia 'AAAA-MM-DD'
+   * @param {string} to - Último dia 'AAAA-MM-DD' (inclusivo)
+   * @param {string} eventType - Tipo de evento
+   * @param {Array} bookings - Agendamentos do salão no período
+   * @param {Date} now - Momento de referência
+   * @returns {Array} Um item de getDayAvailability por dia
+   */
+  getAvailability(from, to, eventType, bookings = [], now = new Date()) {
+    const days = [];
+    for (let day = from; day <= to; day = this.addDays(day, 1)) {
+      days.push(this.getDayAvailability(day, eventType, bookings, now));
+    }
+    return days;
+  }
+}
+
+// Instância global das regras de agendamento
+const bookingRules = new BookingRules();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.bookingRules = bookingRules;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { bookingRules, BookingRules };
+}
+
+console.log('✅ Booking Rules inicializado');
@@ -0,0 +1,223 @@
+// Documentos Brasileiros - CPF, CNPJ e telefones
+//
+// Validação de CPF e CNPJ pelos dígitos verificadores (inclusive o CNPJ
+// alfanumérico emitido a partir de julho de 2026), interpretação de telefones
+// fixos e celulares com DDD normalizados para E.164 (+55DDNNNNNNNNN) e
+// máscaras para campos de formulário. Usado por DataModels e QuotesManager.
+
+class BrazilianDocuments {
+  constructor() {
+    // DDDs em uso pela Anatel
+    this.validDDDs = new Set([
+      11, 12, 13, 14, 15, 16, 17, 18, 19,
+      21, 22, 24, 27, 28,
+      31, 32, 33, 34, 35, 37, 38,
+      41, 42, 43, 44, 45, 46, 47, 48, 49,
+      51, 53, 54, 55,
+      61, 62, 63, 64, 65, 66, 67, 68, 69,
+      71, 73, 74, 75, 77, 79,
+      81, 82, 83, 84, 85, 86, 87, 88, 89,
+      91, 92, 93, 94, 95, 96, 97, 98, 99
+    ].map(String));
+
+    this.masks = {
+      cpf: '###.###.###-##',
+      cnpj: '##.###.###/####-##'
+    };
+  }
+
+  onlyDigits(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/\D/g, '');
+  }
+
+  // CNPJ alfanumérico: letras maiúsculas e dígitos
+  normalizeCNPJ(value) {
+    return String(value === undefined || value === null ? '' : value).toUpperCase().replace(/[^0-9A-Z]/g, '');
+  }
+
+  /**
+   * Valida CPF pelos dois dígitos verificadores
+   * @param {string} value - CPF com ou sem pontuação
+   * @returns {boolean} Se o CPF é válido
+   */
+  isValidCPF(value) {
+    const cpf = this.onlyDigits(value);
+    if (cpf.length !== 11 || /^(\d)\1+$/.test(cpf)) return false;
+
+    const digits = cpf.split('').map(Number);
+    const checkDigit = length => {
+      const sum = digits.slice(0, length).reduce((total, digit, index) => total + digit * (length + 1 - index), 0);
+      const rest = (sum * 10) % 11;
+      return rest === 10 ? 0 : rest;
+    };
+
+    return checkDigit(9) === digits[9] && checkDigit(10) === digits[10];
+  }
+
+  /**
+   * Valida CNPJ (numérico ou alfanumérico) pelos dois dígitos verificadores.
+   * Cada caractere vale seu código ASCII menos 48, o que mantém o cálculo
+   * tradicional para dígitos.
+   * @param {string} value - CNPJ com ou sem pontuação
+   * @returns {boolean} Se o CNPJ é válido
+   */
+  isValidCNPJ(value) {
+    const cnpj = this.normalizeCNPJ(value);
+    if (!/^[0-9A-Z]{12}\d{2}$/.test(cnpj) || /^(\w)\1+$/.test(cnpj)) return false;
+
+    const values = cnpj.split('').map(char => char.charCodeAt(0) - 48);
+    const checkDigit = length => {
+      const weights = length === 12 ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2] : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+      const sum = values.slice(0, length).reduce((total, value, index) => total + value * weights[index], 0);
+      const rest = sum % 11;
+      return rest < 2 ? 0 : 11 - rest;
+    };
+
+    return checkDigit(12) === values[12] && checkDigit(13) === values[13];
+  }
+
+  formatCPF(value) {
+    return this.applyMask(this.onlyDigits(value).slice(0, 11), this.masks.cpf);
+  }
+
+  formatCNPJ(value) {
+    return this.applyMask(this.normalizeCNPJ(value).slice(0, 14), this.masks.cnpj);
+  }
+
+  /**
+   * Interpreta um telefone brasileiro. Aceita +55, 55 sem '+', prefixo 0 de
+   * longa distância (com ou sem código de operadora) e celulares antigos sem
+   * o nono dígito, que é acrescentado.
+   * @param {string} value - Telefone digitado
+   * @returns {Object} { valid, type: 'mobile'|'landline', ddd, number, e164, formatted }
+   *   ou { valid: false, reason: 'country'|'length'|'ddd'|'prefix' }
+   */
+  parsePhone(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    let digits = this.onlyDigits(text);
+
+    if (text.startsWith('+')) {
+      if (!digits.startsWith('55')) return { valid: false, reason: 'country' };
+      digits = digits.slice(2);
+    } else if (digits.startsWith('0')) {
+      // 0 + operadora + DDD + número, ou 0 + DDD + número
+      digits = digits.length >= 13 ? digits.slice(3) : digits.slice(1);
+    } else if (digits.startsWith('55') && digits.length >= 12) {
+      digits = digits.slice(2);
+    }
+
+    if (digits.length !== 10 && digits.length !== 11) {
+      return { valid: false, reason: 'length' };
+    }
+
+    const ddd = digits.slice(0, 2);
+    let number = digits.slice(2);
+    if (!this.validDDDs.has(ddd)) {
+      return { valid: false, reason: 'ddd' };
+    }
+
+    let type;
+    if (number.length === 9) {
+      if (number[0] !== '9') return { valid: false, reason: 'prefix' };
+      type = 'mobile';
+    } else if (/^[2-5]/.test(number)) {
+      type = 'landline';
+    } else if (/^[6-9]/.test(number)) {
+      // Celular anotado antes do nono dígito
+      number = `9${number}`;
+      type = 'mobile';
+    } else {
+      return { valid: false, reason: 'prefix' };
+    }
+
+    const split = number.length - 4;
+    return {
+      valid: true,
+      type,
+      ddd,
+      number,
+      e164: `+55${ddd}${number}`,
+      formatted: `(${ddd}) ${number.slice(0, split)}-${number.slice(split)}`
+    };
+  }
+
+  // Telefone no formato de exibição; valores inválidos voltam como vieram
+  formatPhone(value) {
+    const parsed = this.parsePhone(value);
+    return parsed.valid ? parsed.formatted : String(value === undefined || value === null ? '' : value);
+  }
+
+  /**
+   * Máscara progressiva para digitação
+   * @param {string} kind - 'cpf', 'cnpj' ou 'phone'
+   * @param {string} value - Valor atual do campo
+   * @returns {string} Valor mascarado
+   */
+  mask(kind, value) {
+    switch (kind) {
+      case 'cpf':
+        return this.formatCPF(value);
+      case 'cnpj':
+        return this.formatCNPJ(value);
+      case 'phone':
+        return this.maskPhone(value);
+      default:
+        throw new Error(`Máscara desconhecida: ${kind}`);
+    }
+  }
+
+  // (DD) NNNN-NNNN para fixos, (DD) NNNNN-NNNN para celulares
+  maskPhone(value) {
+    const digits = this.onlyDigits(value).slice(0, 11);
+    if (digits.length === 0) return '';
+    if (digits.length <= 2) return `(${digits}`;
+
+    const ddd = digits.slice(0, 2);
+    const number = digits.slice(2);
+    if (number.length <= 4) return `(${ddd}) ${number}`;
+
+    const split = number.length === 9 ? 5 : 4;
+    return `(${ddd}) ${number.slice(0, split)}-${number.slice(split)}`;
+  }
+
+  applyMask(chars, pattern) {
+    let output = '';
+    let position = 0;
+
+    for (const slot of pattern) {
+      if (position >= chars.length) break;
+      output += slot === '#' ? chars[position++] : slot;
+    }
+    return output;
+  }
+
+  /**
+   * Aplica a máscara a um campo enquanto o usuário digita
+   * @param {HTMLInputElement} input - Campo de formulário
+   * @param {string|Function} kind - Tipo da máscara ou função que o retorna
+   *   (para campos que alternam entre CPF e CNPJ)
+   */
+  attachMask(input, kind) {
+    const resolveKind = typeof kind === 'function' ? kind : () => kind;
+    const apply = () => {
+      input.value = this.mask(resolveKind(), input.value);
+    };
+
+    input.addEventListener('input', apply);
+    apply();
+  }
+}
+
+// Instância global de documentos brasileiros
+const brDocuments = new BrazilianDocuments();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.brDocuments = brDocuments;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { brDocuments, BrazilianDocuments };
+}
+
+console.log('✅ Brazilian Documents inicializado');
@@ -1,9 +1,240 @@
 // Sistema de Cache Local para Performance
+//
+// Duas camadas: a memória (Map) atende get() de forma síncrona e uma camada
+// persistente (IndexedDB, ou localStorage quando ele não existe) guarda as
+// mesmas entradas entre visitas. Ao abrir a página, `ready` carrega para a
+// memória as entradas ainda válidas; quem lê o cache logo no carregamento
+// deve aguardar `cacheManager.ready` antes do get().
+//
+// Cada entrada persistida leva a versão do formato (schemaVersion) e a
+// versão da aplicação (window.APP_VERSION); entradas de outra versão são
+// descartadas, então um deploy nunca lê dados no formato antigo.
+//
+// O cache respeita maxSize entradas e maxBytes de JSON. Ao passar de um
+// deles saem as entradas expiradas e depois as de menor prioridade, na ordem
+// da política de remoção (LRU ou LFU); cada remoção é registrada em
+// monitoringSystem.logCacheAccess.
+//
+// Entradas levam tags ('table:services', 'venue:1') e são invalidadas por
+// tag: invalidateByTag('table:services') não atinge outras chaves que só
+// contenham 'services' no nome. O escopo atual (setScope) entra como tag das
+// chaves geradas com ele.
+//
+// dedupe() junta requisições simultâneas pela chave do cache: quem pede uma
+// chave que já está sendo buscada recebe a mesma promise.
+
+// Versão do formato das entradas persistidas; mude ao alterar a estrutura delas
+const CACHE_SCHEMA_VERSION = 3;
+
+// Prioridades de set(); na hora de liberar espaço, saem primeiro as menores
+const CACHE_PRIORITIES = { low: 0, normal: 1, high: 2 };
+
+// Mesma versão do package.json; window.APP_VERSION sobrescreve a cada deploy
+const CACHE_APP_VERSION = (typeof window !== 'undefined' && window.APP_VERSION) || '1.0.0';
+
+class IndexedDBCacheStore {
+  constructor(dbName = 'buffet_cache') {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  async init() {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB não disponível');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('entries', { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this;
+  }
+
+  readAll() {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction('entries', 'readonly').objectStore('entries').getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  write(entry) {
+    return this.transaction(store => store.put(entry));
+  }
+
+  remove(keys) {
+    return this.transaction(store => keys.forEach(key => store.delete(key)));
+  }
+
+  clear() {
+    return this.transaction(store => store.clear());
+  }
+
+  transaction(operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction('entries', 'readwrite');
+      operation(transaction.objectStore('entries'));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+class LocalStorageCacheStore {
+  constructor(prefix = 'buffetCache:') {
+    this.name = 'localStorage';
+    this.prefix = prefix;
+  }
+
+  async init() {
+    // Modo privado de alguns navegadores expõe localStorage mas recusa escrita
+    const probe = `${this.prefix}__probe`;
+    localStorage.setItem(probe, '1');
+    localStorage.removeItem(probe);
+    return this;
+  }
+
+  storageKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(this.prefix)) keys.push(key);
+    }
+    return keys;
+  }
+
+  async readAll() {
+    return this.storageKeys().map(storageKey => {
+      try {
+        return JSON.parse(localStorage.getItem(storageKey));
+      } catch (error) {
+        // Entrada corrompida: sem versão, é descartada pela hidratação
+        return { key: storageKey.slice(this.prefix.length) };
+      }
+    }).filter(Boolean);
+  }
+
+  async write(entry) {
+    localStorage.setItem(this.prefix + entry.key, JSON.stringify(entry));
+  }
+
+  async remove(keys) {
+    keys.forEach(key => localStorage.removeItem(this.prefix + key));
+  }
+
+  async clear() {
+    this.storageKeys().forEach(key => localStorage.removeItem(key));
+  }
+}
+
 class CacheManager {
-  constructor() {
+  constructor(options = {}) {
     this.cache = new Map();
     this.defaultTTL = 5 * 60 * 1000; // 5 minutos
     this.maxSize = 100; // Máximo de entradas no cache
+    this.maxBytes = options.maxBytes || 2 * 1024 * 1024; // 2 MB de JSON
+    this.evictionPolicy = options.evictionPolicy === 'lfu' ? 'lfu' : 'lru';
+    this.accessClock = 0; // Ordem de uso das entradas, para o LRU
+    this.evictions = { total: 0, bytes: 0, byReason: {} };
+    this.inFlight = new Map(); // Chave → promise da requisição em andamento
+    this.dedup = { requests: 0, hits: 0 };
+    this.scope = null; // Ex.: salão selecionado (SupabaseClient.setVenue)
+    this.schemaVersion = CACHE_SCHEMA_VERSION;
+    this.appVersion = options.appVersion || CACHE_APP_VERSION;
+    this.store = null; // Camada persistente; null = só memória
+    this.encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+
+    // Operações da camada persistente rodam em ordem, depois da hidratação
+    this.ready = this.hydrate(options.stores);
+    this.queue = this.ready;
+  }
+
+  /**
+   * Abre a camada persistente e carrega para a memória as entradas válidas.
+   * Entradas expiradas ou de outra versão são apagadas. A ordem de uso
+   * recomeça pela data de gravação.
+   * @param {Array} stores - Camadas em ordem de preferência
+   * @returns {Promise<void>}
+   */
+  async hydrate(stores = [new IndexedDBCacheStore(), new LocalStorageCacheStore()]) {
+    for (const store of stores) {
+      try {
+        this.store = await store.init();
+        break;
+      } catch (error) {
+        console.warn(`⚠️ Cache: ${store.name} indisponível (${error.message})`);
+      }
+    }
+
+    if (!this.store) {
+      console.warn('⚠️ Cache: sem camada persistente, usando só memória');
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      const stale = [];
+      let loaded = 0;
+
+      const entries = (await this.store.readAll())
+        .sort((a, b) => ((a && a.timestamp) || 0) - ((b && b.timestamp) || 0));
+
+      for (const entry of entries) {
+        const valid = entry
+          && typeof entry.key === 'string'
+          && entry.schemaVersion === this.schemaVersion
+          && entry.appVersion === this.appVersion
+          && (now - entry.timestamp) <= entry.ttl;
+
+        if (!valid) {
+          if (entry && entry.key !== undefined) stale.push(entry.key);
+          continue;
+        }
+
+        // Um set() feito durante a hidratação é mais novo que o persistido
+        const current = this.cache.get(entry.key);
+        if (!current || current.timestamp < entry.timestamp) {
+          this.cache.set(entry.key, {
+            data: entry.data,
+            timestamp: entry.timestamp,
+            ttl: entry.ttl,
+            namespace: entry.namespace,
+            size: entry.size,
+            priority: this.resolvePriority(entry.priority),
+            tags: Array.isArray(entry.tags) ? entry.tags : [],
+            hits: 0,
+            lastAccess: ++this.accessClock,
+            persisted: true
+          });
+          loaded++;
+        }
+      }
+
+      if (stale.length > 0) {
+        await this.store.remove(stale);
+      }
+      // Orçamento pode ter diminuído desde a última visita
+      this.enforceLimits();
+      console.log(`💾 Cache: ${loaded} entradas restauradas de ${this.store.name} (${stale.length} descartadas)`);
+    } catch (error) {
+      console.warn('⚠️ Cache: falha ao ler camada persistente:', error.message);
+    }
+  }
+
+  /**
+   * Enfileira uma operação na camada persistente. Falhas (cota cheia, aba
+   * anônima) só deixam a entrada em memória.
+   * @param {Function} operation - Recebe a camada persistente
+   * @returns {Promise<void>}
+   */
+  persist(operation) {
+    this.queue = this.queue
+      .then(() => (this.store ? operation(this.store) : undefined))
+      .catch(error => console.warn('⚠️ Cache: falha na camada persistente:', error.message));
+    return this.queue;
   }
 
   /**
@@ -11,18 +242,54 @@ class CacheManager {
    * @param {string} key - Chave do cache
    * @param {any} data - Dados para armazenar
    * @param {number} ttl - Time to live em millisegundos
+   * @param {Object} options - { persist: false } mantém a entrada só em memória
+   *   (ex.: URLs blob: que não sobrevivem à página); { priority: 'low' |
+   *   'normal' | 'high' } define a ordem de remoção quando falta espaço;
+   *   { tags: ['table:services'] } permite invalidar a entrada por tag
    */
-  set(key, data, ttl = this.defaultTTL) {
-    // Limpar cache se estiver muito grande
-    if (this.cache.size >= this.maxSize) {
-      this.cleanup();
-    }
-
-    this.cache.set(key, {
+  set(key, data, ttl = this.defaultTTL, options = {}) {
+    const json = this.serialize(data);
+    const entry = {
       data,
       timestamp: Date.now(),
-      ttl
-    });
+      ttl,
+      namespace: this.getNamespace(key),
+      size: json === null ? 0 : this.byteLength(json),
+      priority: this.resolvePriority(options.priority),
+      tags: this.resolveTags(key, options.tags),
+      hits: 0,
+      lastAccess: ++this.accessClock,
+      persisted: options.persist !== false && json !== null
+    };
+
+    // Maior que o orçamento inteiro: não entra, e a versão anterior sai
+    if (entry.size > this.maxBytes) {
+      this.delete(key);
+      this.recordEviction(key, entry, 'too_large');
+      console.warn(`⚠️ Cache: '${key}' (${entry.size} bytes) excede o limite de ${this.maxBytes} bytes`);
+      return;
+    }
+
+    this.cache.set(key, entry);
+    this.enforceLimits(key);
+
+    if (entry.persisted) {
+      this.persist(store => store.write({
+        key,
+        namespace: entry.namespace,
+        data: JSON.parse(json),
+        timestamp: entry.timestamp,
+        ttl,
+        size: entry.size,
+        priority: entry.priority,
+        tags: entry.tags,
+        schemaVersion: this.schemaVersion,
+        appVersion: this.appVersion
+      }));
+    } else {
+      // Não deixar uma versão antiga persistida reaparecer na próxima visita
+      this.persist(store => store.remove([key]));
+    }
 
     console.log(`✅ Cache: Dados armazenados para '${key}'`);
   }
@@ -34,7 +301,7 @@ class CacheManager {
    */
   get(key) {
     const cached = this.cache.get(key);
-    
+
     if (!cached) {
       // Log cache miss
       if (window.monitoringSystem) {
@@ -47,7 +314,8 @@ class CacheManager {
     const isExpired = (now - cached.timestamp) > cached.ttl;
 
     if (isExpired) {
-      this.cache.delete(key);
+      this.delete(key);
+      this.recordEviction(key, cached, 'expired');
       console.log(`⏰ Cache: Dados expirados para '${key}'`);
       // Log cache miss por expiração
       if (window.monitoringSystem) {
@@ -56,6 +324,9 @@ class CacheManager {
       return null;
     }
 
+    cached.hits++;
+    cached.lastAccess = ++this.accessClock;
+
     console.log(`🎯 Cache: Hit para '${key}'`);
     // Log cache hit
     if (window.monitoringSystem) {
@@ -65,26 +336,88 @@ class CacheManager {
   }
 
   /**
-   * Invalida entradas do cache por padrão
-   * @param {string} pattern - Padrão para buscar chaves
+   * Compartilha requisições em andamento: enquanto o loader de uma chave não
+   * termina, novas chamadas com a mesma chave recebem a mesma promise (e o
+   * mesmo resultado ou erro) em vez de disparar outra requisição
+   * @param {string} key - Chave da requisição (normalmente a do cache)
+   * @param {Function} loader - Faz a requisição e retorna uma promise
+   * @returns {Promise<any>} Resultado do loader
    */
-  invalidate(pattern) {
+  dedupe(key, loader) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.dedup.hits++;
+      console.log(`🔗 Cache: requisição em andamento reaproveitada para '${key}'`);
+      if (window.monitoringSystem) {
+        monitoringSystem.logRequestDedup(key);
+      }
+      return pending;
+    }
+
+    const request = Promise.resolve()
+      .then(loader)
+      .finally(() => {
+        if (this.inFlight.get(key) === request) this.inFlight.delete(key);
+      });
+
+    this.dedup.requests++;
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Remove uma entrada das duas camadas
+   * @param {string} key - Chave do cache
+   */
+  delete(key) {
+    this.cache.delete(key);
+    this.persist(store => store.remove([key]));
+  }
+
+  /**
+   * Invalida as entradas que têm qualquer uma das tags
+   * @param {string|Array} tags - Tag ou lista de tags (ex.: 'table:services')
+   */
+  invalidateByTag(tags) {
+    const wanted = new Set(Array.isArray(tags) ? tags : [tags]);
+    const matches = entry => Boolean(entry) && Array.isArray(entry.tags) && entry.tags.some(tag => wanted.has(tag));
+    const invalidatedAt = Date.now();
     let count = 0;
-    for (const key of this.cache.keys()) {
-      if (key.includes(pattern)) {
+    for (const [key, value] of this.cache.entries()) {
+      if (matches(value)) {
         this.cache.delete(key);
         count++;
       }
     }
-    console.log(`🗑️ Cache: ${count} entradas invalidadas para padrão '${pattern}'`);
+
+    // Inclui entradas persistidas que a hidratação ainda não trouxe para a memória.
+    // Um set() logo após a invalidação, no mesmo milissegundo, é dado novo e fica
+    this.persist(async store => {
+      const keys = (await store.readAll())
+        .filter(entry => matches(entry) && typeof entry.key === 'string')
+        .map(entry => entry.key);
+      keys.forEach(key => {
+        const cached = this.cache.get(key);
+        if (cached && cached.timestamp < invalidatedAt) this.cache.delete(key);
+      });
+      if (keys.length > 0) await store.remove(keys);
+    });
+    console.log(`🗑️ Cache: ${count} entradas invalidadas para ${[...wanted].join(', ')}`);
   }
 
   /**
    * Limpa todo o cache
    */
   clear() {
+    const clearedAt = Date.now();
     const size = this.cache.size;
     this.cache.clear();
+    this.persist(async store => {
+      for (const [key, value] of this.cache.entries()) {
+        if (value.timestamp <= clearedAt) this.cache.delete(key);
+      }
+      await store.clear();
+    });
     console.log(`🧹 Cache: ${size} entradas removidas`);
   }
 
@@ -93,16 +426,116 @@ class CacheManager {
    */
   cleanup() {
     const now = Date.now();
-    let removed = 0;
+    const removed = [];
 
     for (const [key, value] of this.cache.entries()) {
       if ((now - value.timestamp) > value.ttl) {
         this.cache.delete(key);
-        removed++;
+        this.recordEviction(key, value, 'expired');
+        removed.push(key);
+      }
+    }
+
+    if (removed.length > 0) {
+      this.persist(store => store.remove(removed));
+    }
+    console.log(`🧽 Cache: ${removed.length} entradas expiradas removidas`);
+  }
+
+  /**
+   * Mantém o cache dentro de maxSize e maxBytes: saem as entradas expiradas
+   * e, se ainda não bastar, a vítima de selectVictim, uma por vez
+   * @param {string|null} protectedKey - Entrada recém-gravada, que não sai
+   */
+  enforceLimits(protectedKey = null) {
+    if (!this.isOverBudget()) return;
+
+    this.cleanup();
+
+    while (this.isOverBudget()) {
+      const victim = this.selectVictim(protectedKey);
+      if (victim === null) break;
+
+      const entry = this.cache.get(victim);
+      const reason = this.cache.size > this.maxSize ? 'max_entries' : 'max_bytes';
+      this.delete(victim);
+      this.recordEviction(victim, entry, reason);
+    }
+  }
+
+  isOverBudget() {
+    return this.cache.size > this.maxSize || this.getTotalBytes() > this.maxBytes;
+  }
+
+  getTotalBytes() {
+    let bytes = 0;
+    for (const value of this.cache.values()) {
+      bytes += value.size;
+    }
+    return bytes;
+  }
+
+  /**
+   * Escolhe a entrada a remover: menor prioridade; entre iguais, a usada há
+   * mais tempo (LRU) ou a menos usada, com desempate pelo LRU (LFU)
+   * @param {string|null} protectedKey - Chave que não pode sair
+   * @returns {string|null} Chave da vítima
+   */
+  selectVictim(protectedKey = null) {
+    let victimKey = null;
+    let victim = null;
+
+    for (const [key, entry] of this.cache.entries()) {
+      if (key === protectedKey) continue;
+
+      if (!victim || this.compareForEviction(entry, victim) < 0) {
+        victimKey = key;
+        victim = entry;
       }
     }
 
-    console.log(`🧽 Cache: ${removed} entradas expiradas removidas`);
+    return victimKey;
+  }
+
+  // Negativo quando a entrada a deve sair antes de b
+  compareForEviction(a, b) {
+    if (a.priority !== b.priority) return a.priority - b.priority;
+    if (this.evictionPolicy === 'lfu' && a.hits !== b.hits) return a.hits - b.hits;
+    return a.lastAccess - b.lastAccess;
+  }
+
+  /**
+   * Contabiliza uma remoção e a reporta ao monitoramento
+   * @param {string} key - Chave removida
+   * @param {Object} entry - Entrada removida
+   * @param {string} reason - 'expired', 'max_entries', 'max_bytes' ou 'too_large'
+   */
+  recordEviction(key, entry, reason) {
+    this.evictions.total++;
+    this.evictions.bytes += entry.size;
+    this.evictions.byReason[reason] = (this.evictions.byReason[reason] || 0) + 1;
+
+    if (window.monitoringSystem) {
+      monitoringSystem.logCacheAccess(key, 'eviction', {
+        reason,
+        policy: this.evictionPolicy,
+        size: entry.size,
+        priority: entry.priority
+      });
+    }
+  }
+
+  // Tags informadas, sem repetição, mais o escopo de chaves geradas com ele
+  resolveTags(key, tags = []) {
+    const resolved = new Set((Array.isArray(tags) ? tags : [tags]).filter(tag => typeof tag === 'string' && tag));
+    if (this.scope && key.startsWith(`${this.scope}:`)) resolved.add(this.scope);
+    return [...resolved];
+  }
+
+  // 'low' | 'normal' | 'high' ou número; o resto vale 'normal'
+  resolvePriority(priority) {
+    if (typeof priority === 'number' && Number.isFinite(priority)) return priority;
+    return CACHE_PRIORITIES[priority] !== undefined ? CACHE_PRIORITIES[priority] : CACHE_PRIORITIES.normal;
   }
 
   /**
@@ -112,20 +545,59 @@ class CacheManager {
    * @returns {string} Chave gerada
    */
   generateKey(prefix, params = {}) {
-    const paramString = Object.keys(params).length > 0 
-      ? JSON.stringify(params) 
+    const paramString = Object.keys(params).length > 0
+      ? JSON.stringify(params)
       : '';
-    return `${prefix}_${paramString}`;
+    const scopePrefix = this.scope ? `${this.scope}:` : '';
+    return `${scopePrefix}${prefix}_${paramString}`;
+  }
+
+  /**
+   * Namespace da chave: o prefixo de generateKey, sem escopo nem parâmetros
+   * ('venue:2:services_{"category":null}' → 'services'). Chaves montadas de
+   * outra forma são o próprio namespace.
+   * @param {string} key - Chave do cache
+   * @returns {string} Namespace
+   */
+  getNamespace(key) {
+    const match = key.match(/^(.+?)_(\{.*\})?$/);
+    return match ? match[1].slice(match[1].lastIndexOf(':') + 1) : key;
+  }
+
+  // JSON da entrada, ou null se os dados não são serializáveis (não persistem)
+  serialize(data) {
+    try {
+      const json = JSON.stringify(data);
+      return json === undefined ? null : json;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Tamanho em bytes (UTF-8) do JSON da entrada
+  byteLength(json) {
+    return this.encoder ? this.encoder.encode(json).length : json.length;
+  }
+
+  /**
+   * Define o escopo incluído nas chaves geradas, para que dados de escopos
+   * diferentes (ex.: salões) não se misturem
+   * @param {string|null} scope - Escopo atual
+   */
+  setScope(scope) {
+    this.scope = scope || null;
   }
 
   /**
    * Retorna estatísticas do cache
-   * @returns {object} Estatísticas
+   * @returns {object} Estatísticas, com entradas e bytes por namespace
    */
   getStats() {
     const now = Date.now();
     let expired = 0;
     let valid = 0;
+    let bytes = 0;
+    const namespaces = {};
 
     for (const value of this.cache.values()) {
       if ((now - value.timestamp) > value.ttl) {
@@ -133,13 +605,28 @@ class CacheManager {
       } else {
         valid++;
       }
+
+      const namespace = namespaces[value.namespace] || (namespaces[value.namespace] = { entries: 0, bytes: 0, persisted: 0 });
+      namespace.entries++;
+      namespace.bytes += value.size;
+      if (value.persisted) namespace.persisted++;
+      bytes += value.size;
     }
 
     return {
       total: this.cache.size,
       valid,
       expired,
-      maxSize: this.maxSize
+      maxSize: this.maxSize,
+      bytes,
+      maxBytes: this.maxBytes,
+      evictionPolicy: this.evictionPolicy,
+      evictions: this.evictions,
+      dedup: { ...this.dedup, inFlight: this.inFlight.size },
+      namespaces,
+      persistence: this.store ? this.store.name : 'memory',
+      schemaVersion: this.schemaVersion,
+      appVersion: this.appVersion
     };
   }
 }
@@ -152,4 +639,8 @@ if (typeof window !== 'undefined') {
   window.cacheManager = cacheManager;
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { cacheManager, CacheManager, IndexedDBCacheStore, LocalStorageCacheStore };
+}
+
 console.log('✅ Cache Manager inicializado');
\ No newline at end of file
@@ -0,0 +1,135 @@
+// Sincronização de Cache entre Abas - Invalidações e atualizações do admin
+//
+// Um salvamento no admin precisa chegar às páginas abertas em outras abas:
+// SupabaseClient.invalidateCacheTags publica as tags invalidadas e o admin
+// publica os dados que grava no localStorage (buffetServices, buffetVideos,
+// buffetGallery). Cada aba que recebe uma invalidação a aplica no próprio
+// cache, sem republicar, e repassa a mensagem aos assinantes da página.
+//
+// Usa BroadcastChannel; sem ele, o evento 'storage' do localStorage, que
+// também só é entregue às outras abas da mesma origem.
+
+class CacheSyncBus {
+  constructor(channelName = 'buffet-cache-sync') {
+    this.channelName = channelName;
+    this.storageKey = `${channelName}:message`;
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.handlers = new Set();
+    this.channel = null;
+    this.transport = 'none';
+    this.stats = { sent: 0, received: 0 };
+
+    this.connect();
+  }
+
+  connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (event) => this.receive(event.data);
+      this.transport = 'broadcastChannel';
+      return;
+    }
+
+    if (typeof window !== 'undefined' && typeof localStorage !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== this.storageKey || !event.newValue) return;
+        try {
+          this.receive(JSON.parse(event.newValue));
+        } catch (error) {
+          console.warn('⚠️ Mensagem de sincronização inválida:', error.message);
+        }
+      });
+      this.transport = 'storage';
+    }
+  }
+
+  /**
+   * Envia uma mensagem às outras abas
+   * @param {Object} message - { type, ... }
+   */
+  publish(message) {
+    const envelope = { ...message, source: this.tabId, sentAt: Date.now() };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(envelope);
+      } else if (this.transport === 'storage') {
+        // Gravar e remover dispara 'storage' nas outras abas sem deixar resto
+        localStorage.setItem(this.storageKey, JSON.stringify(envelope));
+        localStorage.removeItem(this.storageKey);
+      } else {
+        return;
+      }
+      this.stats.sent++;
+    } catch (error) {
+      // Sem sincronização (ex.: localStorage cheio) as outras abas ficam com o TTL do cache
+      console.warn('⚠️ Falha ao sincronizar abas:', error.message);
+    }
+  }
+
+  /**
+   * Avisa as outras abas que entradas com estas tags ficaram desatualizadas
+   * @param {string|Array} tags - Ex.: 'table:services'
+   */
+  publishInvalidation(tags) {
+    this.publish({ type: 'invalidate', tags: Array.isArray(tags) ? tags : [tags] });
+  }
+
+  /**
+   * Envia às outras abas dados novos gravados nesta
+   * @param {string} key - Chave dos dados (ex.: chave do localStorage do salão)
+   * @param {any} data - Dados gravados
+   */
+  publishUpdate(key, data) {
+    this.publish({ type: 'update', key, data });
+  }
+
+  receive(message) {
+    if (!message || message.source === this.tabId) return;
+    this.stats.received++;
+
+    if (message.type === 'invalidate' && Array.isArray(message.tags)) {
+      if (window.supabaseClient) {
+        supabaseClient.invalidateCacheTags(message.tags, { broadcast: false });
+      } else if (window.cacheManager) {
+        cacheManager.invalidateByTag(message.tags);
+      }
+    }
+
+    this.handlers.forEach(handler => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error('Erro no assinante da sincronização de abas:', error);
+      }
+    });
+  }
+
+  /**
+   * Recebe as mensagens vindas de outras abas
+   * @param {Function} handler - Recebe { type: 'invalidate', tags } ou { type: 'update', key, data }
+   * @returns {Function} Função para cancelar a assinatura
+   */
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  getStats() {
+    return { ...this.stats, transport: this.transport, subscribers: this.handlers.size };
+  }
+}
+
+// Instância global do barramento entre abas
+const cacheSync = new CacheSyncBus();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.cacheSync = cacheSync;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { cacheSync, CacheSyncBus };
+}
+
+console.log('✅ Cache Sync inicializado');
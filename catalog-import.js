@@ -0,0 +1,246 @@
+// Importação de Catálogo - Leitura de planilhas CSV/JSON para carga em lote
+//
+// Converte a planilha de preços (CSV exportado do Excel/Sheets ou JSON) em
+// linhas no formato das tabelas services/packages, prontas para
+// SupabaseClient.upsertServices / upsertPackages, que validam cada linha.
+
+class CatalogImport {
+  constructor() {
+    // Colunas aceitas por tabela
+    this.columns = {
+      services: ['id', 'name', 'description', 'price_per_person', 'category', 'image_url', 'active'],
+      packages: ['id', 'name', 'description', 'price_per_person', 'event_type', 'services', 'active']
+    };
+
+    // Cabeçalhos em português (sem acentos) aceitos como sinônimos
+    this.headerAliases = {
+      nome: 'name',
+      descricao: 'description',
+      preco: 'price_per_person',
+      preco_por_pessoa: 'price_per_person',
+      categoria: 'category',
+      imagem: 'image_url',
+      url_imagem: 'image_url',
+      ativo: 'active',
+      tipo_evento: 'event_type',
+      tipo_de_evento: 'event_type',
+      servicos: 'services'
+    };
+  }
+
+  /**
+   * Lê o conteúdo de um arquivo de importação
+   * @param {string} text - Conteúdo do arquivo
+   * @param {string} table - 'services' ou 'packages'
+   * @param {string|null} format - 'csv', 'json' ou null para detectar
+   * @returns {Object} { format, rows, lineNumbers, ignoredColumns } — lineNumbers[i] é a
+   *   linha (CSV) ou posição (JSON) de origem de rows[i]
+   * @throws {Error} Se o arquivo não puder ser lido
+   */
+  parse(text, table, format = null) {
+    if (!this.columns[table]) {
+      throw new Error(`Tabela '${table}' não suporta importação`);
+    }
+
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    if (!content.trim()) {
+      throw new Error('Arquivo vazio');
+    }
+
+    const detected = format || this.detectFormat(content);
+    const { records, lineNumbers } = detected === 'json'
+      ? this.parseJson(content, table)
+      : this.parseCsvRecords(content);
+
+    const ignoredColumns = new Set();
+    const rows = records.map(record => this.normalizeRow(table, record, ignoredColumns));
+
+    return { format: detected, rows, lineNumbers, ignoredColumns: [...ignoredColumns] };
+  }
+
+  detectFormat(text) {
+    const start = text.trimStart()[0];
+    return start === '[' || start === '{' ? 'json' : 'csv';
+  }
+
+  /**
+   * Lê JSON: lista de objetos ou objeto com a lista na chave da tabela
+   * (ex.: { "services": [...] }, como no backup do backend local)
+   */
+  parseJson(text, table) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON inválido: ${error.message}`);
+    }
+
+    const records = Array.isArray(parsed) ? parsed : (parsed && (parsed[table] || parsed.rows));
+    if (!Array.isArray(records)) {
+      throw new Error(`JSON deve ser uma lista ou conter a chave "${table}"`);
+    }
+
+    return { records, lineNumbers: records.map((record, index) => index + 1) };
+  }
+
+  /**
+   * Lê CSV com cabeçalho. Aceita ',' ou ';' como separador (o Excel em
+   * português exporta com ';') e campos entre aspas com quebras de linha.
+   */
+  parseCsvRecords(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const lines = this.parseCsv(text, delimiter).filter(line => line.cells.some(cell => cell.trim() !== ''));
+
+    if (lines.length < 2) {
+      throw new Error('CSV deve ter cabeçalho e ao menos uma linha');
+    }
+
+    const headers = lines[0].cells.map(header => header.trim());
+    const dataLines = lines.slice(1);
+
+    return {
+      records: dataLines.map(line => {
+        const record = {};
+        headers.forEach((header, index) => {
+          record[header] = line.cells[index] !== undefined ? line.cells[index] : '';
+        });
+        return record;
+      }),
+      lineNumbers: dataLines.map(line => line.lineNumber)
+    };
+  }
+
+  /**
+   * Divide o CSV em linhas de células (RFC 4180)
+   * @returns {Array<Object>} [{ lineNumber, cells }]
+   */
+  parseCsv(text, delimiter = ',') {
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let lineNumber = 1;
+    let startLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') lineNumber++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        cells.push(cell);
+        lines.push({ lineNumber: startLine, cells });
+        cells = [];
+        cell = '';
+        lineNumber++;
+        startLine = lineNumber;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error(`Aspas não fechadas a partir da linha ${startLine}`);
+    }
+    if (cell !== '' || cells.length > 0) {
+      cells.push(cell);
+      lines.push({ lineNumber: startLine, cells });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Converte um registro lido para as colunas da tabela. Células vazias são
+   * omitidas para que atualizações mantenham o valor atual.
+   */
+  normalizeRow(table, record, ignoredColumns = new Set()) {
+    const row = {};
+
+    Object.entries(record || {}).forEach(([header, value]) => {
+      const column = this.normalizeHeader(header);
+      if (!this.columns[table].includes(column)) {
+        ignoredColumns.add(header);
+        return;
+      }
+      if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+        return;
+      }
+
+      switch (column) {
+        case 'id':
+          row.id = /^\d+$/.test(String(value).trim()) ? Number(value) : value;
+          break;
+        case 'price_per_person':
+          row.price_per_person = this.parsePrice(value);
+          break;
+        case 'active':
+          row.active = this.parseBoolean(value);
+          break;
+        case 'services':
+          row.services = Array.isArray(value)
+            ? value
+            : String(value).split('|').map(service => service.trim()).filter(Boolean);
+          break;
+        default:
+          row[column] = typeof value === 'string' ? value.trim() : value;
+      }
+    });
+
+    return row;
+  }
+
+  normalizeHeader(header) {
+    const key = String(header).trim().toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '');
+    return this.headerAliases[key] || key;
+  }
+
+  /**
+   * Lê preço em formato brasileiro ("R$ 1.234,56") ou com ponto decimal, via
+   * Money.parse. Valores ilegíveis são devolvidos como texto para a validação
+   * apontar o erro.
+   */
+  parsePrice(value) {
+    if (typeof value === 'number') return value;
+
+    const price = Money.parse(String(value));
+    return price ? price.toReais() : String(value);
+  }
+
+  parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return ['1', 'true', 'sim', 's', 'yes', 'y', 'ativo'].includes(String(value).trim().toLowerCase());
+  }
+}
+
+// Instância global do importador
+const catalogImport = new CatalogImport();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.catalogImport = catalogImport;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { catalogImport, CatalogImport };
+}
+
+console.log('✅ Catalog Import inicializado');
@@ -1,74 +1,173 @@
 // Modelos de Dados e Validação
 class DataModels {
+
+  // Status possíveis de um agendamento
+  static BOOKING_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled'];
   
+  // Esquemas de validação (formato em schema-validator.js)
+  static SCHEMAS = {
+    service: {
+      type: 'object',
+      label: 'Serviço',
+      required: true,
+      messages: { required: 'Serviço não fornecido' },
+      properties: {
+        name: { type: 'string', label: 'Nome do serviço', required: true, maxLength: 255 },
+        description: { type: 'string', label: 'Descrição' },
+        price_per_person: { type: 'money', label: 'Preço por pessoa', required: true, exclusiveMin: 0 },
+        category: { type: 'string', label: 'Categoria' },
+        image_url: { type: 'string', label: 'URL da imagem', format: 'url' },
+        active: { type: 'boolean', label: 'Ativo' }
+      }
+    },
+
+    package: {
+      type: 'object',
+      label: 'Pacote',
+      required: true,
+      messages: { required: 'Pacote não fornecido' },
+      properties: {
+        name: { type: 'string', label: 'Nome do pacote', required: true, maxLength: 255 },
+        description: { type: 'string', label: 'Descrição' },
+        price_per_person: { type: 'money', label: 'Preço por pessoa', required: true, exclusiveMin: 0 },
+        event_type: { type: 'string', label: 'Tipo de evento' },
+        services: { type: 'array', label: 'Serviços inclusos', items: { type: 'string', label: 'Serviço incluso', required: true } },
+        active: { type: 'boolean', label: 'Ativo' }
+      }
+    },
+
+    quote: {
+      type: 'object',
+      label: 'Orçamento',
+      required: true,
+      messages: { required: 'Dados do orçamento não fornecidos' },
+      properties: {
+        client_name: { type: 'string', label: 'Nome do cliente', required: true, maxLength: 255 },
+        client_email: { type: 'string', label: 'Email', required: true, format: 'email', messages: { format: 'Email inválido' } },
+        client_phone: {
+          type: 'string',
+          label: 'Telefone',
+          required: true,
+          rules: [
+            { code: 'phone', message: 'Telefone inválido (informe DDD e número)', test: value => brDocuments.parsePhone(value).valid }
+          ]
+        },
+        event_type: { type: 'string', label: 'Tipo de evento' },
+        guest_count: { type: 'integer', label: 'Número de convidados', required: true, min: 1 },
+        selected_services: {
+          type: 'array',
+          label: 'Serviços selecionados',
+          required: true,
+          items: {
+            type: 'object',
+            label: 'Serviço selecionado',
+            required: true,
+            properties: {
+              name: { type: 'string', label: 'Nome do serviço', required: true },
+              quantity: { type: 'integer', label: 'Quantidade', min: 1 },
+              price_per_unit: { type: 'money', label: 'Preço unitário', min: 0 },
+              total: { type: 'money', label: 'Total do serviço', min: 0 }
+            }
+          }
+        },
+        total_amount: { type: 'money', label: 'Valor total', required: true, exclusiveMin: 0 },
+        client_type: { type: 'string', label: 'Tipo de cliente', enum: ['pf', 'pj'] },
+        client_document: { type: 'string', label: 'CPF/CNPJ' },
+        company_name: { type: 'string', label: 'Razão social', maxLength: 255 }
+      },
+      // Pessoa física pode informar CPF; pessoa jurídica precisa de CNPJ e razão social
+      rules: [
+        {
+          code: 'cpf',
+          path: 'client_document',
+          message: 'CPF inválido',
+          test: quote => quote.client_type === 'pj' || schemaValidator.isEmpty(quote.client_document) || brDocuments.isValidCPF(quote.client_document)
+        },
+        {
+          code: 'required',
+          path: 'client_document',
+          message: 'CNPJ é obrigatório para pessoa jurídica',
+          test: quote => quote.client_type !== 'pj' || !schemaValidator.isEmpty(quote.client_document)
+        },
+        {
+          code: 'cnpj',
+          path: 'client_document',
+          message: 'CNPJ inválido',
+          test: quote => quote.client_type !== 'pj' || brDocuments.isValidCNPJ(quote.client_document)
+        },
+        {
+          code: 'required',
+          path: 'company_name',
+          message: 'Razão social é obrigatória para pessoa jurídica',
+          test: quote => quote.client_type !== 'pj' || !schemaValidator.isEmpty(quote.company_name)
+        }
+      ]
+    },
+
+    booking: {
+      type: 'object',
+      label: 'Agendamento',
+      required: true,
+      messages: { required: 'Dados do agendamento não fornecidos' },
+      properties: {
+        client_name: { type: 'string', label: 'Nome do cliente', required: true, maxLength: 255 },
+        client_email: { type: 'string', label: 'Email', required: true, format: 'email', messages: { format: 'Email inválido' } },
+        client_phone: {
+          type: 'string',
+          label: 'Telefone',
+          required: true,
+          rules: [
+            { code: 'phone', message: 'Telefone inválido (informe DDD e número)', test: value => brDocuments.parsePhone(value).valid }
+          ]
+        },
+        event_date: {
+          type: 'date',
+          label: 'Data do evento',
+          required: true,
+          messages: { required: 'Data do evento é obrigatória' }
+        },
+        event_type: { type: 'string', label: 'Tipo de evento', required: true },
+        guest_count: { type: 'integer', label: 'Número de convidados', required: true, min: 1 },
+        duration_minutes: { type: 'integer', label: 'Duração do evento (minutos)', min: 1 },
+        event_details: { type: 'string', label: 'Detalhes do evento' }
+      }
+    }
+  };
+
+  /**
+   * Valida dados contra um dos esquemas de DataModels.SCHEMAS
+   * @param {string} name - 'service', 'package', 'quote' ou 'booking'
+   * @param {object} data - Dados a validar
+   * @param {Function} sanitize - Sanitizador aplicado quando há dados
+   * @returns {object} { valid, errors, fieldErrors, sanitized } — errors traz só as
+   *   mensagens; fieldErrors os erros estruturados { path, code, message, params }
+   */
+  static validate(name, data, sanitize = null) {
+    const { valid, errors } = schemaValidator.validate(this.SCHEMAS[name], data);
+    const result = { valid, errors: errors.map(error => error.message), fieldErrors: errors };
+
+    if (data && sanitize) {
+      result.sanitized = sanitize.call(this, data);
+    }
+    return result;
+  }
+
   /**
    * Valida dados de serviço
    * @param {object} service - Dados do serviço
    * @returns {object} Resultado da validação
    */
   static validateService(service) {
-    const errors = [];
-    
-    if (!service) {
-      return { valid: false, errors: ['Serviço não fornecido'] };
-    }
-
-    // Campos obrigatórios
-    if (!service.name || typeof service.name !== 'string') {
-      errors.push('Nome do serviço é obrigatório');
-    }
-
-    if (!service.price_per_person || isNaN(service.price_per_person)) {
-      errors.push('Preço por pessoa deve ser um número válido');
-    }
-
-    // Validações opcionais
-    if (service.category && typeof service.category !== 'string') {
-      errors.push('Categoria deve ser uma string');
-    }
-
-    if (service.image_url && !this.isValidUrl(service.image_url)) {
-      errors.push('URL da imagem inválida');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors,
-      sanitized: this.sanitizeService(service)
-    };
+    return this.validate('service', service, this.sanitizeService);
   }
 
   /**
    * Valida dados de pacote
-   * @param {object} package - Dados do pacote
+   * @param {object} pkg - Dados do pacote
    * @returns {object} Resultado da validação
    */
-  static validatePackage(package) {
-    const errors = [];
-    
-    if (!package) {
-      return { valid: false, errors: ['Pacote não fornecido'] };
-    }
-
-    // Campos obrigatórios
-    if (!package.name || typeof package.name !== 'string') {
-      errors.push('Nome do pacote é obrigatório');
-    }
-
-    if (!package.price_per_person || isNaN(package.price_per_person)) {
-      errors.push('Preço por pessoa deve ser um número válido');
-    }
-
-    // Validar serviços inclusos se fornecidos
-    if (package.services && !Array.isArray(package.services)) {
-      errors.push('Serviços devem ser uma lista');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors,
-      sanitized: this.sanitizePackage(package)
-    };
+  static validatePackage(pkg) {
+    return this.validate('package', pkg, this.sanitizePackage);
   }
 
   /**
@@ -77,91 +176,28 @@ class DataModels {
    * @returns {object} Resultado da validação
    */
   static validateQuote(quote) {
-    const errors = [];
-    
-    if (!quote) {
-      return { valid: false, errors: ['Dados do orçamento não fornecidos'] };
-    }
-
-    // Campos obrigatórios
-    if (!quote.client_name || typeof quote.client_name !== 'string') {
-      errors.push('Nome do cliente é obrigatório');
-    }
-
-    if (!quote.client_email || !this.isValidEmail(quote.client_email)) {
-      errors.push('Email válido é obrigatório');
-    }
-
-    if (!quote.client_phone || typeof quote.client_phone !== 'string') {
-      errors.push('Telefone é obrigatório');
-    }
-
-    if (!quote.guest_count || isNaN(quote.guest_count) || quote.guest_count < 1) {
-      errors.push('Número de convidados deve ser maior que zero');
-    }
-
-    if (!quote.selected_services || !Array.isArray(quote.selected_services)) {
-      errors.push('Serviços selecionados são obrigatórios');
-    }
-
-    if (!quote.total_amount || isNaN(quote.total_amount) || quote.total_amount <= 0) {
-      errors.push('Valor total deve ser maior que zero');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors,
-      sanitized: this.sanitizeQuote(quote)
-    };
+    return this.validate('quote', quote, this.sanitizeQuote);
   }
 
   /**
-   * Valida dados de agendamento
+   * Valida dados de agendamento. Depois do esquema, a data passa pelas regras
+   * do salão (booking-rules.js); capacidade do dia e conflito de horário só
+   * são verificados contra os agendamentos informados.
    * @param {object} booking - Dados do agendamento
+   * @param {Array} existingBookings - Agendamentos do salão em torno da data
    * @returns {object} Resultado da validação
    */
-  static validateBooking(booking) {
-    const errors = [];
-    
-    if (!booking) {
-      return { valid: false, errors: ['Dados do agendamento não fornecidos'] };
-    }
-
-    // Campos obrigatórios
-    if (!booking.client_name || typeof booking.client_name !== 'string') {
-      errors.push('Nome do cliente é obrigatório');
-    }
-
-    if (!booking.client_email || !this.isValidEmail(booking.client_email)) {
-      errors.push('Email válido é obrigatório');
-    }
-
-    if (!booking.client_phone || typeof booking.client_phone !== 'string') {
-      errors.push('Telefone é obrigatório');
-    }
-
-    if (!booking.event_date || !this.isValidDate(booking.event_date)) {
-      errors.push('Data do evento é obrigatória e deve ser válida');
+  static validateBooking(booking, existingBookings = []) {
+    const result = this.validate('booking', booking, this.sanitizeBooking);
+    if (!booking || result.fieldErrors.some(error => error.path === 'event_date')) return result;
+
+    const [violation] = bookingRules.check(booking, existingBookings);
+    if (violation) {
+      result.fieldErrors.push({ path: 'event_date', ...violation });
+      result.errors.push(violation.message);
+      result.valid = false;
     }
-
-    if (!booking.event_type || typeof booking.event_type !== 'string') {
-      errors.push('Tipo de evento é obrigatório');
-    }
-
-    if (!booking.guest_count || isNaN(booking.guest_count) || booking.guest_count < 1) {
-      errors.push('Número de convidados deve ser maior que zero');
-    }
-
-    // Validar se a data não é no passado
-    if (booking.event_date && new Date(booking.event_date) < new Date()) {
-      errors.push('Data do evento não pode ser no passado');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors,
-      sanitized: this.sanitizeBooking(booking)
-    };
+    return result;
   }
 
   /**
@@ -174,7 +210,7 @@ class DataModels {
       id: service.id,
       name: this.sanitizeString(service.name),
       description: this.sanitizeString(service.description),
-      price_per_person: parseFloat(service.price_per_person) || 0,
+      price_per_person: this.sanitizeMoney(service.price_per_person),
       category: this.sanitizeString(service.category),
       image_url: this.sanitizeUrl(service.image_url),
       active: Boolean(service.active)
@@ -183,18 +219,18 @@ class DataModels {
 
   /**
    * Sanitiza dados de pacote
-   * @param {object} package - Dados do pacote
+   * @param {object} pkg - Dados do pacote
    * @returns {object} Dados sanitizados
    */
-  static sanitizePackage(package) {
+  static sanitizePackage(pkg) {
     return {
-      id: package.id,
-      name: this.sanitizeString(package.name),
-      description: this.sanitizeString(package.description),
-      price_per_person: parseFloat(package.price_per_person) || 0,
-      event_type: this.sanitizeString(package.event_type),
-      services: Array.isArray(package.services) ? package.services : [],
-      active: Boolean(package.active)
+      id: pkg.id,
+      name: this.sanitizeString(pkg.name),
+      description: this.sanitizeString(pkg.description),
+      price_per_person: this.sanitizeMoney(pkg.price_per_person),
+      event_type: this.sanitizeString(pkg.event_type),
+      services: Array.isArray(pkg.services) ? pkg.services : [],
+      active: Boolean(pkg.active)
     };
   }
 
@@ -204,15 +240,21 @@ class DataModels {
    * @returns {object} Dados sanitizados
    */
   static sanitizeQuote(quote) {
+    const clientType = quote.client_type === 'pj' ? 'pj' : 'pf';
+
     return {
       client_name: this.sanitizeString(quote.client_name),
       client_email: this.sanitizeEmail(quote.client_email),
       client_phone: this.sanitizePhone(quote.client_phone),
       event_type: this.sanitizeString(quote.event_type),
       guest_count: parseInt(quote.guest_count) || 0,
-      selected_services: Array.isArray(quote.selected_services) ? quote.selected_services : [],
-      total_amount: parseFloat(quote.total_amount) || 0,
-      protocol_number: this.generateProtocolNumber()
+      selected_services: Array.isArray(quote.selected_services) ? quote.selected_services.map(item => this.sanitizeSelectedService(item)) : [],
+      total_amount: this.sanitizeMoney(quote.total_amount),
+      client_type: clientType,
+      client_document: this.sanitizeDocument(quote.client_document, clientType),
+      company_name: clientType === 'pj' ? this.sanitizeString(quote.company_name) : null,
+      status: 'pending',
+      protocol_number: this.generateProvisionalProtocol()
     };
   }
 
@@ -226,11 +268,14 @@ class DataModels {
       client_name: this.sanitizeString(booking.client_name),
       client_email: this.sanitizeEmail(booking.client_email),
       client_phone: this.sanitizePhone(booking.client_phone),
-      event_date: this.sanitizeDate(booking.event_date),
+      // Dia sem horário vira meio-dia no fuso do salão (ver BookingRules.toEventDate)
+      event_date: this.sanitizeDate(bookingRules.toEventDate(booking.event_date)),
       event_type: this.sanitizeString(booking.event_type),
       guest_count: parseInt(booking.guest_count) || 0,
+      duration_minutes: parseInt(booking.duration_minutes) || null,
       event_details: this.sanitizeString(booking.event_details),
-      protocol_number: this.generateProtocolNumber()
+      status: this.BOOKING_STATUSES.includes(booking.status) ? booking.status : 'pending',
+      protocol_number: this.generateProvisionalProtocol()
     };
   }
 
@@ -264,9 +309,32 @@ class DataModels {
     return email.trim().toLowerCase();
   }
 
+  // Telefones válidos são gravados em E.164 (+5585999999999)
   static sanitizePhone(phone) {
     if (typeof phone !== 'string') return '';
-    return phone.replace(/[^\d\s\-\(\)\+]/g, '');
+    const parsed = brDocuments.parsePhone(phone);
+    return parsed.valid ? parsed.e164 : phone.replace(/[^\d\s\-\(\)\+]/g, '');
+  }
+
+  // CPF/CNPJ sem pontuação; null quando não informado
+  static sanitizeDocument(document, clientType = 'pf') {
+    if (typeof document !== 'string') return null;
+    const normalized = clientType === 'pj' ? brDocuments.normalizeCNPJ(document) : brDocuments.onlyDigits(document);
+    return normalized || null;
+  }
+
+  // Valor em reais arredondado ao centavo (aceita "R$ 1.234,56"); ilegível vira 0
+  static sanitizeMoney(value) {
+    return (Money.parse(value) || Money.zero()).toReais();
+  }
+
+  static sanitizeSelectedService(item) {
+    if (!item || typeof item !== 'object') return item;
+    return {
+      ...item,
+      price_per_unit: this.sanitizeMoney(item.price_per_unit),
+      total: this.sanitizeMoney(item.total)
+    };
   }
 
   static sanitizeUrl(url) {
@@ -275,17 +343,17 @@ class DataModels {
   }
 
   static sanitizeDate(date) {
+    if (!this.isValidDate(date)) return null;
     return new Date(date).toISOString();
   }
 
   /**
-   * Gera número de protocolo único
-   * @returns {string} Número de protocolo
+   * Gera protocolo provisório; o oficial (sequencial, com dígito
+   * verificador) é reservado pelo backend quando o registro é gravado
+   * @returns {string} Protocolo provisório
    */
-  static generateProtocolNumber() {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 5);
-    return `BS${timestamp}${random}`.toUpperCase();
+  static generateProvisionalProtocol() {
+    return protocolNumbers.generateProvisional();
   }
 }
 
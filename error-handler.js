@@ -174,6 +174,7 @@ class ErrorHandler {
       'buscar pacotes': [],
       'buscar fotos': [],
       'buscar vídeos': [],
+      'buscar agendamentos': [],
       'criar orçamento': { success: false, message: 'Erro ao salvar orçamento' },
       'criar agendamento': { success: false, message: 'Erro ao salvar agendamento' }
     };
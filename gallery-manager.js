@@ -7,6 +7,12 @@ class GalleryManager {
     this.currentPhotoIndex = 0;
     this.fallbackPhotos = this.getFallbackPhotos();
     this.lazyLoadObserver = null;
+    this.unsubscribeRealtime = null;
+    this.pageSize = 24;
+    this.nextCursor = null;
+    this.hasMorePhotos = false;
+    this.isLoadingMore = false;
+    this.loadMoreObserver = null;
   }
 
   /**
@@ -19,21 +25,27 @@ class GalleryManager {
     
     // Verificar cache primeiro
     if (useCache) {
+      await cacheManager.ready; // entradas salvas em visitas anteriores
       const cacheKey = cacheManager.generateKey('space_photos');
       const cached = cacheManager.get(cacheKey);
       if (cached) {
         console.log('🎯 Fotos carregadas do cache');
         this.photos = cached;
+        this.restorePagination();
         return cached;
       }
     }
 
-    // Evitar múltiplas requisições simultâneas
-    if (this.isLoading) {
-      console.log('⏳ Carregamento já em andamento...');
-      return this.photos;
-    }
+    // Chamadas simultâneas esperam a mesma requisição e recebem o mesmo resultado
+    return await cacheManager.dedupe(cacheManager.generateKey('space_photos'), () => this.fetchSpacePhotos());
+  }
 
+  /**
+   * Busca a primeira página de fotos no Supabase, com fallback local, e
+   * guarda no cache
+   * @returns {Promise<Array>} Lista de fotos
+   */
+  async fetchSpacePhotos() {
     this.isLoading = true;
 
     try {
@@ -42,11 +54,12 @@ class GalleryManager {
       
       if (result.success && result.data.length > 0) {
         this.photos = result.data;
+        this.nextCursor = result.nextCursor;
+        this.hasMorePhotos = result.hasMore;
         this.lastLoadTime = Date.now();
         
         // Salvar no cache
-        const cacheKey = cacheManager.generateKey('space_photos');
-        cacheManager.set(cacheKey, this.photos);
+        this.cachePhotos();
         
         console.log(`✅ ${this.photos.length} fotos carregadas do Supabase`);
         return this.photos;
@@ -59,6 +72,8 @@ class GalleryManager {
       
       // Usar dados de fallback
       this.photos = this.fallbackPhotos;
+      this.nextCursor = null;
+      this.hasMorePhotos = false;
       return this.photos;
     } finally {
       this.isLoading = false;
@@ -66,16 +81,17 @@ class GalleryManager {
   }
 
   /**
-   * Carrega fotos do Supabase
+   * Carrega uma página de fotos do Supabase
+   * @param {string|null} cursor - Cursor da página (null para a primeira)
    * @returns {Promise<Object>} Resultado da operação
    */
-  async loadFromSupabase() {
+  async loadFromSupabase(cursor = null) {
     try {
       if (!window.supabaseClient) {
         throw new Error('Cliente Supabase não disponível');
       }
 
-      const result = await supabaseClient.getSpacePhotos(false);
+      const result = await supabaseClient.getSpacePhotosPage({ pageSize: this.pageSize, cursor }, false);
       
       if (result.error) {
         throw new Error(result.error.message);
@@ -93,7 +109,9 @@ class GalleryManager {
 
       return {
         success: true,
-        data: validPhotos
+        data: validPhotos,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
       };
 
     } catch (error) {
@@ -104,6 +122,54 @@ class GalleryManager {
     }
   }
 
+  /**
+   * Carrega a próxima página de fotos e adiciona à lista atual
+   * @returns {Promise<Array>} Fotos adicionadas
+   */
+  async loadMorePhotos() {
+    if (!this.hasMorePhotos || this.isLoadingMore) return [];
+
+    this.isLoadingMore = true;
+
+    try {
+      const result = await this.loadFromSupabase(this.nextCursor);
+      if (!result.success) {
+        console.warn('⚠️ Falha ao carregar mais fotos:', result.error);
+        return [];
+      }
+
+      this.photos = [...this.photos, ...result.data];
+      this.nextCursor = result.nextCursor;
+      this.hasMorePhotos = result.hasMore;
+      this.cachePhotos();
+
+      console.log(`✅ Mais ${result.data.length} fotos carregadas (total: ${this.photos.length})`);
+      return result.data;
+    } finally {
+      this.isLoadingMore = false;
+    }
+  }
+
+  /**
+   * Guarda as fotos carregadas no cache. URLs blob: (backends locais) morrem
+   * com a página, então essas listas não vão para a camada persistente.
+   */
+  cachePhotos() {
+    const persist = !this.photos.some(photo => String(photo.image_url || photo.url || '').startsWith('blob:'));
+    cacheManager.set(cacheManager.generateKey('space_photos'), this.photos, undefined, { persist, tags: ['table:space_photos'] });
+  }
+
+  /**
+   * Reconstrói o cursor a partir da última foto em cache
+   */
+  restorePagination() {
+    const last = this.photos[this.photos.length - 1];
+    const fullPage = this.photos.length > 0 && this.photos.length % this.pageSize === 0;
+
+    this.hasMorePhotos = Boolean(window.supabaseClient && last && fullPage);
+    this.nextCursor = this.hasMorePhotos ? supabaseClient.encodeCursor(last, 'upload_date') : null;
+  }
+
   /**
    * Valida dados de uma foto
    * @param {Object} photo - Dados da foto
@@ -124,6 +190,7 @@ class GalleryManager {
     return {
       id: photo.id || Date.now() + Math.random(),
       url: photo.image_url || photo.url,
+      thumbnail: photo.thumbnail_url || photo.thumbnail || photo.image_url || photo.url,
       title: photo.title || photo.name || 'Foto do espaço',
       description: photo.description || '',
       upload_date: photo.upload_date || photo.created_at || new Date().toISOString(),
@@ -238,6 +305,53 @@ class GalleryManager {
 
     // Configurar lazy loading
     this.setupLazyLoading();
+    this.setupLoadMore(container, grid);
+  }
+
+  /**
+   * Observa o fim da grade para carregar a próxima página ao rolar
+   * @param {HTMLElement} container - Container da galeria
+   * @param {HTMLElement} grid - Grade de fotos
+   */
+  setupLoadMore(container, grid) {
+    if (this.loadMoreObserver) {
+      this.loadMoreObserver.disconnect();
+      this.loadMoreObserver = null;
+    }
+
+    if (!this.hasMorePhotos) return;
+
+    const sentinel = document.createElement('div');
+    sentinel.className = 'gallery-load-more';
+    sentinel.style.cssText = 'text-align: center; padding: 20px; color: #666;';
+    sentinel.textContent = 'Carregando mais fotos...';
+    container.appendChild(sentinel);
+
+    this.loadMoreObserver = new IntersectionObserver(async (entries) => {
+      if (!entries.some(entry => entry.isIntersecting) || this.isLoadingMore) return;
+
+      const startIndex = this.photos.length;
+      const newPhotos = await this.loadMorePhotos();
+
+      newPhotos.forEach((photo, offset) => {
+        grid.appendChild(this.createPhotoElement(photo, startIndex + offset));
+      });
+      this.setupLazyLoading();
+
+      if (!this.hasMorePhotos) {
+        this.loadMoreObserver.disconnect();
+        this.loadMoreObserver = null;
+        sentinel.remove();
+      } else {
+        // Reobserva para disparar de novo se o sentinela continuar visível
+        this.loadMoreObserver.unobserve(sentinel);
+        this.loadMoreObserver.observe(sentinel);
+      }
+    }, {
+      rootMargin: '200px'
+    });
+
+    this.loadMoreObserver.observe(sentinel);
   }
 
   /**
@@ -260,7 +374,7 @@ class GalleryManager {
     `;
 
     photoDiv.innerHTML = `
-      <img data-src="${photo.url}" 
+      <img data-src="${photo.thumbnail || photo.url}" 
            alt="${photo.title}"
            style="width: 100%; height: 100%; object-fit: cover; transition: transform 0.3s ease;"
            class="lazy-load">
@@ -545,6 +659,11 @@ class GalleryManager {
     if (modal) {
       modal.remove();
     }
+
+    if (this.loadMoreObserver) {
+      this.loadMoreObserver.disconnect();
+      this.loadMoreObserver = null;
+    }
   }
 
   /**
@@ -619,10 +738,43 @@ class GalleryManager {
    */
   async refreshPhotos() {
     console.log('🔄 Forçando atualização de fotos...');
-    cacheManager.invalidate('space_photos');
+    cacheManager.invalidateByTag('table:space_photos');
     return await this.loadSpacePhotos(false);
   }
 
+  /**
+   * Assina mudanças da tabela de fotos para atualizar a galeria em tempo real
+   */
+  enableRealtime() {
+    if (this.unsubscribeRealtime || !window.supabaseClient) return;
+    this.unsubscribeRealtime = supabaseClient.subscribe('space_photos', (change) => this.handleRealtimeChange(change));
+  }
+
+  /**
+   * Recarrega as fotos e re-renderiza a galeria se estiver aberta
+   * @param {Object} change - Evento de mudança { eventType, new, old }
+   */
+  async handleRealtimeChange(change) {
+    console.log(`📡 Fotos alteradas (${change.eventType}), atualizando...`);
+
+    const result = await this.loadFromSupabase();
+    if (!result.success) {
+      console.warn('⚠️ Falha ao atualizar fotos em tempo real:', result.error);
+      return;
+    }
+
+    this.photos = result.data;
+    this.nextCursor = result.nextCursor;
+    this.hasMorePhotos = result.hasMore;
+    this.lastLoadTime = Date.now();
+    this.cachePhotos();
+
+    const modal = document.getElementById('galleryModal');
+    if (modal && modal.querySelector('.gallery-container')) {
+      this.renderGalleryPhotos(modal);
+    }
+  }
+
   /**
    * Retorna estatísticas da galeria
    * @returns {Object} Estatísticas
@@ -630,6 +782,7 @@ class GalleryManager {
   getStats() {
     return {
       totalPhotos: this.photos.length,
+      hasMorePhotos: this.hasMorePhotos,
       lastLoad: this.lastLoadTime,
       currentIndex: this.currentPhotoIndex,
       categories: [...new Set(this.photos.map(p => p.category))]
@@ -643,6 +796,9 @@ const galleryManager = new GalleryManager();
 // Exportar para uso global
 if (typeof window !== 'undefined') {
   window.galleryManager = galleryManager;
+
+  // Atualizações em tempo real
+  galleryManager.enableRealtime();
 }
 
 console.log('✅ Gallery Manager inicializado');
\ No newline at end of file
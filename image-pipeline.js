@@ -0,0 +1,228 @@
+// Pipeline de Imagens - Processamento no navegador antes do upload
+//
+// Redimensiona para as dimensões máximas configuradas, reencoda em WebP (ou
+// JPEG, se o navegador não exportar WebP) e gera uma miniatura. Como a imagem
+// é redesenhada num canvas, metadados EXIF/GPS não vão para o arquivo final;
+// a orientação EXIF é aplicada antes, na decodificação.
+// Configurável via window.IMAGE_PIPELINE_CONFIG. Usado por SupabaseClient.uploadImage.
+
+class ImagePipeline {
+  constructor(config = {}) {
+    const defaults = {
+      maxWidth: 1920,
+      maxHeight: 1920,
+      quality: 0.82,
+      format: 'image/webp',
+      fallbackFormat: 'image/jpeg',
+      thumbnail: {
+        maxWidth: 400,
+        maxHeight: 400,
+        quality: 0.7
+      }
+    };
+
+    this.config = {
+      ...defaults,
+      ...config,
+      thumbnail: { ...defaults.thumbnail, ...(config.thumbnail || {}) }
+    };
+
+    this.thumbnailSuffix = '_thumb';
+    this.extensions = {
+      'image/webp': 'webp',
+      'image/jpeg': 'jpg',
+      'image/png': 'png'
+    };
+  }
+
+  /**
+   * Indica se o navegador tem o necessário para processar imagens
+   * @returns {boolean} Se o pipeline pode ser usado
+   */
+  isSupported() {
+    const hasCanvas = typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined';
+    const hasDecoder = typeof createImageBitmap === 'function' || typeof Image !== 'undefined';
+    return hasCanvas && hasDecoder;
+  }
+
+  /**
+   * Processa uma imagem gerando a versão otimizada e a miniatura
+   * @param {File|Blob} file - Imagem original
+   * @param {Object} options - Sobrescreve a configuração para esta chamada
+   * @returns {Promise<Object>} { image, thumbnail, width, height, format, originalSize }
+   */
+  async process(file, options = {}) {
+    if (!file || !String(file.type || '').startsWith('image/')) {
+      throw new Error('Arquivo não é uma imagem');
+    }
+
+    const config = { ...this.config, ...options, thumbnail: { ...this.config.thumbnail, ...(options.thumbnail || {}) } };
+    const source = await this.decode(file);
+
+    try {
+      const main = await this.render(source, config.maxWidth, config.maxHeight, config);
+      const thumbnail = await this.render(source, config.thumbnail.maxWidth, config.thumbnail.maxHeight, {
+        ...config,
+        quality: config.thumbnail.quality
+      });
+
+      const baseName = String(file.name || 'imagem').replace(/\.[^.]+$/, '');
+      const extension = this.extensions[main.blob.type] || 'jpg';
+
+      return {
+        image: this.toFile(main.blob, `${baseName}.${extension}`),
+        thumbnail: this.toFile(thumbnail.blob, `${baseName}${this.thumbnailSuffix}.${extension}`),
+        width: main.width,
+        height: main.height,
+        format: main.blob.type,
+        originalSize: file.size
+      };
+    } finally {
+      if (source.close) source.close();
+    }
+  }
+
+  /**
+   * Decodifica a imagem já com a orientação EXIF aplicada
+   * @param {File|Blob} file - Imagem original
+   * @returns {Promise<ImageBitmap|HTMLImageElement>} Imagem decodificada
+   */
+  async decode(file) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        return await createImageBitmap(file, { imageOrientation: 'from-image' });
+      } catch (error) {
+        // Navegadores sem suporte às opções: tenta pelo elemento <img>
+      }
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+      return await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Não foi possível ler a imagem '${file.name || 'sem nome'}'`));
+        image.src = url;
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Desenha a imagem no tamanho alvo (nunca amplia) e exporta
+   * @returns {Promise<Object>} { blob, width, height }
+   */
+  async render(source, maxWidth, maxHeight, config) {
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const { width, height } = this.fitWithin(sourceWidth, sourceHeight, maxWidth, maxHeight);
+
+    const canvas = this.createCanvas(width, height);
+
+    this.draw(canvas, source, config.format);
+    let blob = await this.exportCanvas(canvas, config.format, config.quality);
+
+    // Navegadores sem encoder WebP devolvem PNG; usa o formato reserva
+    if (!blob || blob.type !== config.format) {
+      this.draw(canvas, source, config.fallbackFormat);
+      blob = await this.exportCanvas(canvas, config.fallbackFormat, config.quality);
+    }
+    if (!blob) {
+      throw new Error('Falha ao gerar a imagem processada');
+    }
+
+    return { blob, width, height };
+  }
+
+  /**
+   * Calcula dimensões que cabem no limite mantendo a proporção
+   * @returns {Object} { width, height }
+   */
+  fitWithin(width, height, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    };
+  }
+
+  draw(canvas, source, format) {
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    // JPEG não tem transparência: fundo branco em vez de preto
+    if (format === 'image/jpeg') {
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  }
+
+  createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  exportCanvas(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type, quality }).catch(() => null);
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  }
+
+  toFile(blob, name) {
+    if (typeof File === 'function') {
+      return new File([blob], name, { type: blob.type, lastModified: Date.now() });
+    }
+    blob.name = name;
+    return blob;
+  }
+
+  /**
+   * Caminho da miniatura correspondente a um caminho no storage
+   * @param {string} path - Caminho da imagem principal
+   * @returns {string|null} Caminho da miniatura ou null se já for uma
+   */
+  getThumbnailPath(path) {
+    const match = String(path).match(/^(.*?)(\.[^./]+)?$/);
+    if (match[1].endsWith(this.thumbnailSuffix)) return null;
+    return `${match[1]}${this.thumbnailSuffix}${match[2] || ''}`;
+  }
+
+  /**
+   * Lê um arquivo como data URL (para armazenamento local)
+   * @param {File|Blob} file - Arquivo
+   * @returns {Promise<string>} Data URL
+   */
+  readAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = event => resolve(event.target.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+}
+
+// Instância global do pipeline de imagens
+const imagePipeline = new ImagePipeline(typeof window !== 'undefined' ? window.IMAGE_PIPELINE_CONFIG : {});
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.imagePipeline = imagePipeline;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { imagePipeline, ImagePipeline };
+}
+
+console.log('✅ Image Pipeline inicializado');
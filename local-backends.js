@@ -0,0 +1,1050 @@
+// Backends Locais de Dados - Execução Offline do SupabaseClient
+//
+// Contrato de backend (adapter) usado pelo LocalSupabaseClient:
+//   async init()                         -> prepara o armazenamento (abrir banco, ler chaves)
+//   async getRows(table)                 -> Array com as linhas da tabela
+//   async setRows(table, rows)           -> persiste a tabela inteira
+//   async isSeeded(table)                -> se a tabela já recebeu dados iniciais
+//   async markSeeded(table)              -> registra que a tabela foi semeada
+//   async putFile(bucket, path, file)    -> armazena arquivo (Blob/File)
+//   getFileUrl(bucket, path)             -> URL pública do arquivo (síncrono, como no Supabase)
+//   async removeFiles(bucket, paths)     -> remove arquivos
+//   async listFiles(bucket, prefix)      -> lista arquivos do bucket
+//
+// Qualquer objeto que implemente esse contrato pode ser registrado com
+// LocalBackends.registerBackend(nome, Classe) e selecionado via window.SUPABASE_BACKEND.
+// Este arquivo deve ser carregado antes de supabase.js.
+
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.tables = new Map();
+    this.files = new Map();
+    this.seeded = new Set();
+  }
+
+  async init() {
+    return this;
+  }
+
+  async getRows(table) {
+    return (this.tables.get(table) || []).map(row => ({ ...row }));
+  }
+
+  async setRows(table, rows) {
+    this.tables.set(table, rows.map(row => ({ ...row })));
+  }
+
+  async isSeeded(table) {
+    return this.seeded.has(table);
+  }
+
+  async markSeeded(table) {
+    this.seeded.add(table);
+  }
+
+  async putFile(bucket, path, file) {
+    const key = this.getFileKey(bucket, path);
+    this.revokeFileUrl(key);
+    this.files.set(key, {
+      blob: file,
+      url: this.createFileUrl(file)
+    });
+    return { path };
+  }
+
+  getFileUrl(bucket, path) {
+    const entry = this.files.get(this.getFileKey(bucket, path));
+    return entry ? entry.url : '';
+  }
+
+  async removeFiles(bucket, paths) {
+    const removed = [];
+    for (const path of paths) {
+      const key = this.getFileKey(bucket, path);
+      if (this.files.has(key)) {
+        this.revokeFileUrl(key);
+        this.files.delete(key);
+        removed.push({ name: path });
+      }
+    }
+    return removed;
+  }
+
+  async listFiles(bucket, prefix = '') {
+    const bucketPrefix = `${bucket}/${prefix}`;
+    return [...this.files.keys()]
+      .filter(key => key.startsWith(bucketPrefix))
+      .map(key => ({ name: key.substring(bucket.length + 1) }));
+  }
+
+  getFileKey(bucket, path) {
+    return `${bucket}/${path}`;
+  }
+
+  createFileUrl(file) {
+    if (typeof URL !== 'undefined' && URL.createObjectURL && typeof Blob !== 'undefined' && file instanceof Blob) {
+      return URL.createObjectURL(file);
+    }
+    return '';
+  }
+
+  revokeFileUrl(key) {
+    const entry = this.files.get(key);
+    if (entry && entry.url && entry.url.startsWith('blob:') && URL.revokeObjectURL) {
+      URL.revokeObjectURL(entry.url);
+    }
+  }
+}
+
+class LocalStorageBackend extends MemoryBackend {
+  constructor(options = {}) {
+    super();
+    this.name = 'localStorage';
+    this.prefix = options.prefix || 'buffet_local_db';
+  }
+
+  async init() {
+    if (typeof localStorage === 'undefined') {
+      throw new Error('localStorage não disponível');
+    }
+    return this;
+  }
+
+  async getRows(table) {
+    try {
+      const stored = localStorage.getItem(`${this.prefix}:table:${table}`);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.warn(`⚠️ Tabela local corrompida '${table}', reiniciando:`, error.message);
+      return [];
+    }
+  }
+
+  async setRows(table, rows) {
+    localStorage.setItem(`${this.prefix}:table:${table}`, JSON.stringify(rows));
+  }
+
+  async isSeeded(table) {
+    return localStorage.getItem(`${this.prefix}:seeded:${table}`) === 'true';
+  }
+
+  async markSeeded(table) {
+    localStorage.setItem(`${this.prefix}:seeded:${table}`, 'true');
+  }
+
+  async putFile(bucket, path, file) {
+    const dataUrl = await this.readAsDataUrl(file);
+    localStorage.setItem(`${this.prefix}:file:${this.getFileKey(bucket, path)}`, dataUrl);
+    return { path };
+  }
+
+  getFileUrl(bucket, path) {
+    return localStorage.getItem(`${this.prefix}:file:${this.getFileKey(bucket, path)}`) || '';
+  }
+
+  async removeFiles(bucket, paths) {
+    const removed = [];
+    for (const path of paths) {
+      const key = `${this.prefix}:file:${this.getFileKey(bucket, path)}`;
+      if (localStorage.getItem(key) !== null) {
+        localStorage.removeItem(key);
+        removed.push({ name: path });
+      }
+    }
+    return removed;
+  }
+
+  async listFiles(bucket, prefix = '') {
+    const keyPrefix = `${this.prefix}:file:${bucket}/${prefix}`;
+    const files = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(keyPrefix)) {
+        files.push({ name: key.substring(`${this.prefix}:file:${bucket}/`.length) });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Converte arquivo em data URL para caber no localStorage
+   * @param {Blob|string} file - Arquivo ou conteúdo textual
+   * @returns {Promise<string>} Data URL
+   */
+  readAsDataUrl(file) {
+    if (typeof file === 'string') {
+      return Promise.resolve(file.startsWith('data:') ? file : `data:text/plain,${encodeURIComponent(file)}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Falha ao ler arquivo para armazenamento local'));
+      reader.readAsDataURL(file);
+    });
+  }
+}
+
+class IndexedDBBackend extends MemoryBackend {
+  constructor(options = {}) {
+    super();
+    this.name = 'indexedDB';
+    this.dbName = options.dbName || 'buffet_local_db';
+    this.db = null;
+  }
+
+  /**
+   * Abre o banco e carrega tabelas e arquivos para memória,
+   * permitindo getFileUrl síncrono como no Supabase
+   */
+  async init() {
+    if (this.db) return this;
+
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB não disponível');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('tables');
+        db.createObjectStore('files');
+        db.createObjectStore('meta');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const [tableKeys, tableValues] = await this.readStore('tables');
+    tableKeys.forEach((key, index) => this.tables.set(key, tableValues[index]));
+
+    const [fileKeys, fileValues] = await this.readStore('files');
+    fileKeys.forEach((key, index) => {
+      this.files.set(key, { blob: fileValues[index], url: this.createFileUrl(fileValues[index]) });
+    });
+
+    const [metaKeys] = await this.readStore('meta');
+    metaKeys.forEach(key => this.seeded.add(key));
+
+    return this;
+  }
+
+  async setRows(table, rows) {
+    await super.setRows(table, rows);
+    await this.writeStore('tables', table, rows);
+  }
+
+  async markSeeded(table) {
+    await super.markSeeded(table);
+    await this.writeStore('meta', table, true);
+  }
+
+  async putFile(bucket, path, file) {
+    await super.putFile(bucket, path, file);
+    await this.writeStore('files', this.getFileKey(bucket, path), file);
+    return { path };
+  }
+
+  async removeFiles(bucket, paths) {
+    const removed = await super.removeFiles(bucket, paths);
+    for (const path of paths) {
+      await this.deleteFromStore('files', this.getFileKey(bucket, path));
+    }
+    return removed;
+  }
+
+  readStore(storeName) {
+    return new Promise((resolve, reject) => {
+      const store = this.db.transaction(storeName, 'readonly').objectStore(storeName);
+      const keysRequest = store.getAllKeys();
+      const valuesRequest = store.getAll();
+      valuesRequest.onsuccess = () => resolve([keysRequest.result, valuesRequest.result]);
+      valuesRequest.onerror = () => reject(valuesRequest.error);
+    });
+  }
+
+  writeStore(storeName, key, value) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      transaction.objectStore(storeName).put(value, key);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  deleteFromStore(storeName, key) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      transaction.objectStore(storeName).delete(key);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// Query builder compatível com o subconjunto do supabase-js usado pelo SupabaseClient
+class LocalQueryBuilder {
+  constructor(localClient, table) {
+    this.localClient = localClient;
+    this.backend = localClient.backend;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.payload = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.singleMode = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.conflictColumn = 'id';
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.headOnly = Boolean(options.head);
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumn = options.onConflict || 'id';
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // Filtros
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, value) { return this.addFilter(column, 'like', value); }
+  ilike(column, value) { return this.addFilter(column, 'ilike', value); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+
+  // Negação na sintaxe do supabase-js: .not('deleted_at', 'is', null)
+  not(column, operator, value) {
+    this.filters.push({ operator: 'not', condition: { column, operator, value } });
+    return this;
+  }
+
+  /**
+   * Filtro OR na sintaxe PostgREST: "col.op.valor,and(col2.op.valor,col3.op.valor)"
+   * @param {string} expression - Expressão OR
+   */
+  or(expression) {
+    this.filters.push({ operator: 'or', conditions: LocalQueryBuilder.parseLogicalExpression(expression) });
+    return this;
+  }
+
+  addFilter(column, operator, value) {
+    this.filters.push({ column, operator, value });
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  /**
+   * Executa a consulta contra o backend local
+   * @returns {Promise<Object>} { data, error, count } no formato do supabase-js
+   */
+  async execute() {
+    try {
+      await this.localClient.ensureSeeded(this.table);
+      const rows = (await this.backend.getRows(this.table)).map(row => this.localClient.applyDefaults(this.table, row));
+      let result;
+
+      switch (this.action) {
+        case 'insert':
+          result = await this.executeInsert(rows);
+          break;
+        case 'upsert':
+          result = await this.executeUpsert(rows);
+          break;
+        case 'update':
+          result = await this.executeUpdate(rows);
+          break;
+        case 'delete':
+          result = await this.executeDelete(rows);
+          break;
+        default:
+          result = this.executeSelect(rows);
+      }
+
+      if (this.action !== 'select') {
+        this.localClient.notifyWatchers(this.table);
+      }
+
+      return this.finalize(result);
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || 'LOCAL_ERROR' }, count: null };
+    }
+  }
+
+  executeSelect(rows) {
+    let matched = this.sortRows(rows.filter(row => this.matches(row)));
+    const count = matched.length;
+
+    if (this.rangeFrom !== null) {
+      matched = matched.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+    if (this.limitCount !== null) {
+      matched = matched.slice(0, this.limitCount);
+    }
+
+    return { data: this.headOnly ? null : matched, count };
+  }
+
+  async executeInsert(rows) {
+    const payload = [];
+    for (const row of this.payload) {
+      payload.push(await this.localClient.beforeInsert(this.table, row));
+    }
+    const inserted = payload.map(row => this.localClient.prepareNewRow(this.table, row, rows));
+    rows.push(...inserted);
+    await this.backend.setRows(this.table, rows);
+    return { data: inserted };
+  }
+
+  async executeUpsert(rows) {
+    const affected = [];
+    for (const row of this.payload) {
+      const key = row[this.conflictColumn];
+      const index = key === undefined ? -1 : rows.findIndex(existing => existing[this.conflictColumn] === key);
+      if (index === -1) {
+        const created = this.localClient.prepareNewRow(this.table, row, rows);
+        rows.push(created);
+        affected.push(created);
+      } else {
+        rows[index] = this.localClient.prepareUpdatedRow(this.table, rows[index], row);
+        affected.push(rows[index]);
+      }
+    }
+    await this.backend.setRows(this.table, rows);
+    return { data: affected };
+  }
+
+  async executeUpdate(rows) {
+    const updated = [];
+    const nextRows = rows.map(row => {
+      if (!this.matches(row)) return row;
+      const changed = this.localClient.prepareUpdatedRow(this.table, row, this.payload);
+      updated.push(changed);
+      return changed;
+    });
+    await this.backend.setRows(this.table, nextRows);
+    return { data: updated };
+  }
+
+  async executeDelete(rows) {
+    const removed = rows.filter(row => this.matches(row));
+    await this.backend.setRows(this.table, rows.filter(row => !this.matches(row)));
+    return { data: removed };
+  }
+
+  finalize(result) {
+    const isMutation = this.action !== 'select';
+    let data = result.data;
+
+    if (isMutation && !this.returning) {
+      data = null;
+    } else if (data) {
+      data = data.map(row => this.project(row));
+    }
+
+    if (this.singleMode && data) {
+      if (data.length > 1 || (this.singleMode === 'single' && data.length === 0)) {
+        return {
+          data: null,
+          error: { message: `Esperada uma linha, encontradas ${data.length}`, code: 'PGRST116' },
+          count: null
+        };
+      }
+      data = data[0] || null;
+    }
+
+    return { data, error: null, count: this.countMode ? result.count : null };
+  }
+
+  /**
+   * Aplica a projeção de colunas do select (apenas nomes simples)
+   * @param {Object} row - Linha completa
+   * @returns {Object} Linha projetada
+   */
+  project(row) {
+    if (!this.columns || this.columns.trim() === '*') return row;
+
+    const columns = this.columns.split(',').map(c => c.trim()).filter(Boolean);
+    if (columns.includes('*')) return row;
+
+    const projected = {};
+    columns.forEach(column => {
+      if (column in row) projected[column] = row[column];
+    });
+    return projected;
+  }
+
+  matches(row) {
+    return this.filters.every(filter => LocalQueryBuilder.evaluate(row, filter));
+  }
+
+  static evaluate(row, condition) {
+    if (condition.operator === 'or') {
+      return condition.conditions.some(inner => LocalQueryBuilder.evaluate(row, inner));
+    }
+    if (condition.operator === 'and') {
+      return condition.conditions.every(inner => LocalQueryBuilder.evaluate(row, inner));
+    }
+    if (condition.operator === 'not') {
+      return !LocalQueryBuilder.evaluate(row, condition.condition);
+    }
+    return LocalQueryBuilder.compare(row[condition.column], condition.operator, condition.value);
+  }
+
+  sortRows(rows) {
+    if (this.orders.length === 0) return rows;
+
+    return rows.sort((a, b) => {
+      for (const { column, ascending } of this.orders) {
+        const left = a[column];
+        const right = b[column];
+        if (left === right) continue;
+        if (left === null || left === undefined) return 1;
+        if (right === null || right === undefined) return -1;
+        const result = left < right ? -1 : 1;
+        return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  static compare(actual, operator, expected) {
+    switch (operator) {
+      case 'eq': return actual === expected || (actual !== undefined && actual !== null && String(actual) === String(expected));
+      case 'neq': return !LocalQueryBuilder.compare(actual, 'eq', expected);
+      case 'gt': return actual !== null && actual !== undefined && actual > expected;
+      case 'gte': return actual !== null && actual !== undefined && actual >= expected;
+      case 'lt': return actual !== null && actual !== undefined && actual < expected;
+      case 'lte': return actual !== null && actual !== undefined && actual <= expected;
+      case 'is': return expected === null ? (actual === null || actual === undefined) : actual === expected;
+      case 'in': return Array.isArray(expected) && expected.some(value => LocalQueryBuilder.compare(actual, 'eq', value));
+      case 'like':
+      case 'ilike': {
+        if (actual === null || actual === undefined) return false;
+        const escaped = String(expected).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+        return new RegExp(`^${escaped}$`, operator === 'ilike' ? 'i' : '').test(String(actual));
+      }
+      default:
+        throw new Error(`Operador não suportado no backend local: ${operator}`);
+    }
+  }
+
+  /**
+   * Converte expressão lógica PostgREST em árvore de condições
+   * @param {string} expression - Ex.: "a.eq.1,and(b.lt.2,c.is.null)"
+   * @returns {Array} Condições
+   */
+  static parseLogicalExpression(expression) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of expression) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim()).filter(Boolean).map(part => {
+      const group = part.match(/^(and|or)\((.*)\)$/);
+      if (group) {
+        return { operator: group[1], conditions: LocalQueryBuilder.parseLogicalExpression(group[2]) };
+      }
+
+      const [column, operator, ...rest] = part.split('.');
+      return { column, operator, value: LocalQueryBuilder.parseFilterValue(rest.join('.')) };
+    });
+  }
+
+  static parseFilterValue(raw) {
+    if (raw === 'null') return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    return raw;
+  }
+}
+
+// Bucket de storage compatível com supabase.storage.from(bucket)
+class LocalStorageBucket {
+  constructor(backend, bucket) {
+    this.backend = backend;
+    this.bucket = bucket;
+  }
+
+  async upload(path, file) {
+    try {
+      const data = await this.backend.putFile(this.bucket, path, file);
+      return { data: { ...data, fullPath: `${this.bucket}/${path}` }, error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+
+  getPublicUrl(path) {
+    return { data: { publicUrl: this.backend.getFileUrl(this.bucket, path) } };
+  }
+
+  async remove(paths) {
+    try {
+      return { data: await this.backend.removeFiles(this.bucket, paths), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+
+  async list(prefix = '') {
+    try {
+      return { data: await this.backend.listFiles(this.bucket, prefix), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+}
+
+// Cliente local com a mesma superfície from()/storage do supabase-js
+class LocalSupabaseClient {
+  constructor(backend, seedProvider = getLocalSeedData) {
+    this.backend = backend;
+    this.seedProvider = seedProvider;
+    this.isLocal = true;
+    this.watchers = new Set();
+    // Tabelas com controle de versão (trigger bump_version no Postgres)
+    this.versionedTables = ['services', 'packages'];
+    // Tabelas por salão: linhas sem venue_id ficam no salão padrão, como o
+    // default da coluna no Postgres (o salão semeado recebe o id 1)
+    this.venueTables = ['services', 'packages', 'space_photos', 'featured_videos', 'quotes', 'bookings', 'booking_rules', 'blackout_dates'];
+    this.defaultVenueId = 1;
+    this.storage = {
+      from: (bucket) => new LocalStorageBucket(this.backend, bucket)
+    };
+  }
+
+  from(table) {
+    return new LocalQueryBuilder(this, table);
+  }
+
+  /**
+   * Executa localmente as funções do banco chamadas via supabase.rpc
+   * @param {string} name - Nome da função
+   * @param {Object} params - Parâmetros nomeados
+   * @returns {Promise<Object>} { data, error } no formato do supabase-js
+   */
+  async rpc(name, params = {}) {
+    try {
+      switch (name) {
+        case 'allocate_protocol_number':
+          return { data: await this.allocateProtocolNumber(params.provisional || null), error: null };
+        case 'get_booked_slots':
+          return { data: await this.getBookedSlots(params), error: null };
+        default:
+          throw new Error(`Função não disponível no backend local: ${name}`);
+      }
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || 'LOCAL_ERROR' } };
+    }
+  }
+
+  /**
+   * Triggers de inserção do Postgres que os backends locais reproduzem:
+   * orçamentos são recalculados pelo catálogo do salão (price_quote)
+   * @param {string} table - Nome da tabela
+   * @param {Object} row - Linha recebida
+   * @returns {Promise<Object>} Linha a gravar
+   */
+  async beforeInsert(table, row) {
+    if (table !== 'quotes') return row;
+
+    const venueId = this.applyDefaults(table, row).venue_id;
+    const catalogRows = async (catalogTable) => {
+      await this.ensureSeeded(catalogTable);
+      return (await this.backend.getRows(catalogTable))
+        .map(catalogRow => this.applyDefaults(catalogTable, catalogRow))
+        .filter(catalogRow => String(catalogRow.venue_id) === String(venueId));
+    };
+
+    const pricing = getQuotePricing();
+    const catalog = pricing.buildCatalog(await catalogRows('services'), await catalogRows('packages'));
+    const priced = pricing.priceQuote(row, catalog);
+    if (!priced.valid) {
+      const error = new Error(priced.errors.join(', '));
+      error.code = '23514';
+      throw error;
+    }
+
+    return { ...row, ...priced.fields };
+  }
+
+  /**
+   * Reserva o próximo protocolo sequencial do ano, como allocate_protocol_number
+   * no Postgres: o mesmo protocolo provisório recebe sempre o mesmo número
+   * @param {string|null} provisional - Protocolo provisório do orçamento
+   * @returns {Promise<string>} Protocolo oficial
+   */
+  async allocateProtocolNumber(provisional) {
+    const allocations = await this.backend.getRows('protocol_allocations');
+
+    if (provisional) {
+      const existing = allocations.find(allocation => allocation.provisional_protocol === provisional);
+      if (existing) return existing.protocol_number;
+    }
+
+    const year = new Date().getFullYear();
+    const sequence = allocations
+      .filter(allocation => allocation.year === year)
+      .reduce((max, allocation) => Math.max(max, allocation.sequence), 0) + 1;
+    const protocolNumber = getProtocolNumbers().format(year, sequence);
+
+    allocations.push({
+      protocol_number: protocolNumber,
+      year,
+      sequence,
+      provisional_protocol: provisional,
+      allocated_at: new Date().toISOString()
+    });
+    await this.backend.setRows('protocol_allocations', allocations);
+
+    return protocolNumber;
+  }
+
+  /**
+   * Ocupação da agenda para o calendário público, como get_booked_slots no
+   * Postgres: só data, duração e status dos agendamentos não cancelados
+   * @param {Object} params - { target_venue, range_start, range_end }
+   * @returns {Promise<Array>} Agendamentos do período
+   */
+  async getBookedSlots({ target_venue = null, range_start, range_end }) {
+    const venueId = target_venue === null || target_venue === undefined ? this.defaultVenueId : target_venue;
+    const start = new Date(range_start).getTime();
+    const end = new Date(range_end).getTime();
+
+    return (await this.backend.getRows('bookings'))
+      .map(row => this.applyDefaults('bookings', row))
+      .filter(row => String(row.venue_id) === String(venueId) && row.status !== 'cancelled')
+      .filter(row => {
+        const time = new Date(row.event_date).getTime();
+        return time >= start && time <= end;
+      })
+      .sort((a, b) => new Date(a.event_date) - new Date(b.event_date))
+      .map(row => ({ event_date: row.event_date, duration_minutes: row.duration_minutes || null, status: row.status }));
+  }
+
+  /**
+   * Observa mudanças de uma tabela por polling (substituto local do Realtime)
+   * @param {string} table - Nome da tabela
+   * @param {Function} callback - Recebe { eventType, new, old } a cada mudança
+   * @param {number} interval - Intervalo de polling em ms
+   * @returns {Function} Função para parar de observar
+   */
+  watchTable(table, callback, interval = 5000) {
+    const watcher = { table, callback, snapshot: null };
+    this.watchers.add(watcher);
+
+    this.pollWatcher(watcher);
+    const timer = setInterval(() => this.pollWatcher(watcher), interval);
+
+    return () => {
+      clearInterval(timer);
+      this.watchers.delete(watcher);
+    };
+  }
+
+  /**
+   * Verifica imediatamente os observadores de uma tabela após escrita local
+   * @param {string} table - Nome da tabela
+   */
+  notifyWatchers(table) {
+    this.watchers.forEach(watcher => {
+      if (watcher.table === table) this.pollWatcher(watcher);
+    });
+  }
+
+  /**
+   * Compara o estado atual da tabela com o último snapshot e emite as diferenças
+   * @param {Object} watcher - Observador registrado
+   */
+  async pollWatcher(watcher) {
+    try {
+      const rows = await this.backend.getRows(watcher.table);
+      const current = new Map(rows.map(row => [String(row.id), row]));
+      const previous = watcher.snapshot;
+      watcher.snapshot = new Map([...current].map(([id, row]) => [id, JSON.stringify(row)]));
+
+      // Primeira leitura apenas registra o estado inicial
+      if (!previous || !this.watchers.has(watcher)) return;
+
+      for (const [id, row] of current) {
+        if (!previous.has(id)) {
+          watcher.callback({ eventType: 'INSERT', new: row, old: null });
+        } else if (previous.get(id) !== watcher.snapshot.get(id)) {
+          watcher.callback({ eventType: 'UPDATE', new: row, old: JSON.parse(previous.get(id)) });
+        }
+      }
+
+      for (const [id, serialized] of previous) {
+        if (!current.has(id)) {
+          watcher.callback({ eventType: 'DELETE', new: null, old: JSON.parse(serialized) });
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ Falha no polling de '${watcher.table}':`, error.message);
+    }
+  }
+
+  /**
+   * Semeia a tabela com dados iniciais na primeira consulta
+   * @param {string} table - Nome da tabela
+   */
+  async ensureSeeded(table) {
+    if (await this.backend.isSeeded(table)) return;
+
+    const existing = await this.backend.getRows(table);
+    if (existing.length === 0) {
+      const seed = (this.seedProvider() || {})[table] || [];
+      const rows = [];
+      seed.forEach(row => rows.push(this.prepareNewRow(table, row, rows)));
+      await this.backend.setRows(table, rows);
+      if (rows.length > 0) {
+        console.log(`🌱 Backend local: ${rows.length} registros iniciais em '${table}'`);
+      }
+    }
+
+    await this.backend.markSeeded(table);
+  }
+
+  /**
+   * Completa uma nova linha com id e carimbo de criação
+   * @param {string} table - Nome da tabela
+   * @param {Object} row - Linha recebida
+   * @param {Array} rows - Linhas existentes (para gerar id)
+   * @returns {Object} Linha pronta para gravar
+   */
+  prepareNewRow(table, row, rows) {
+    const prepared = { ...row };
+
+    if (prepared.id === undefined || prepared.id === null) {
+      const numericIds = rows.map(r => Number(r.id)).filter(id => Number.isFinite(id));
+      prepared.id = (numericIds.length > 0 ? Math.max(...numericIds) : 0) + 1;
+    }
+    if (!prepared.created_at) {
+      prepared.created_at = new Date().toISOString();
+    }
+    if (this.versionedTables.includes(table)) {
+      prepared.version = 1;
+    }
+
+    return this.applyDefaults(table, prepared);
+  }
+
+  /**
+   * Preenche colunas com default no banco que dados locais antigos não têm
+   * @param {string} table - Nome da tabela
+   * @param {Object} row - Linha
+   * @returns {Object} Linha com os defaults aplicados
+   */
+  applyDefaults(table, row) {
+    if (this.venueTables.includes(table) && (row.venue_id === undefined || row.venue_id === null)) {
+      return { ...row, venue_id: this.defaultVenueId };
+    }
+    return row;
+  }
+
+  /**
+   * Aplica uma atualização a uma linha, incrementando a versão como o
+   * trigger bump_version faz no banco
+   * @param {string} table - Nome da tabela
+   * @param {Object} row - Linha atual
+   * @param {Object} values - Campos alterados
+   * @returns {Object} Linha atualizada
+   */
+  prepareUpdatedRow(table, row, values) {
+    const updated = { ...row, ...values };
+    if (this.versionedTables.includes(table)) {
+      updated.version = (Number(row.version) || 1) + 1;
+    }
+    return updated;
+  }
+}
+
+// protocol-numbers.js: global no navegador, require no servidor stub (Node)
+function getProtocolNumbers() {
+  if (typeof protocolNumbers !== 'undefined') return protocolNumbers;
+  return require('./protocol-numbers.js').protocolNumbers;
+}
+
+// quote-pricing.js: idem
+function getQuotePricing() {
+  if (typeof quotePricing !== 'undefined') return quotePricing;
+  return require('./quote-pricing.js').quotePricing;
+}
+
+/**
+ * Dados iniciais dos backends locais. Usa window.LOCAL_SEED_DATA se definido,
+ * senão os dados de fallback dos gerenciadores carregados na página.
+ * @returns {Object} Mapa tabela -> linhas
+ */
+function getLocalSeedData() {
+  if (typeof window === 'undefined') return {};
+  if (window.LOCAL_SEED_DATA) return window.LOCAL_SEED_DATA;
+
+  const stripFallbackId = ({ id, ...row }) => row;
+  const seed = {
+    venues: [{ slug: 'principal', name: 'Salão Principal', address: '', phone: '', is_default: true, active: true }]
+  };
+
+  if (window.servicesManager) {
+    seed.services = servicesManager.getFallbackServices().map(stripFallbackId);
+  }
+  if (window.packagesManager) {
+    seed.packages = packagesManager.getFallbackPackages().map(stripFallbackId);
+  }
+  if (window.galleryManager) {
+    seed.space_photos = galleryManager.getFallbackPhotos().map(({ id, url, ...photo }) => ({
+      ...photo,
+      image_url: url,
+      active: true,
+      upload_date: new Date().toISOString()
+    }));
+  }
+  if (window.videosManager) {
+    seed.featured_videos = videosManager.getFallbackVideos().map(({ id, url, embed_url, thumbnail, platform, ...video }) => ({
+      ...video,
+      video_url: url,
+      thumbnail_url: thumbnail,
+      active: true
+    }));
+  }
+
+  return seed;
+}
+
+// Registro de backends disponíveis
+const localBackendRegistry = {
+  memory: MemoryBackend,
+  localStorage: LocalStorageBackend,
+  indexedDB: IndexedDBBackend
+};
+
+/**
+ * Registra um backend adicional que implemente o contrato acima
+ * @param {string} name - Nome usado em window.SUPABASE_BACKEND
+ * @param {Function} BackendClass - Classe do backend
+ */
+function registerBackend(name, BackendClass) {
+  localBackendRegistry[name] = BackendClass;
+}
+
+/**
+ * Cria cliente local para o backend informado
+ * @param {string} type - 'memory', 'localStorage', 'indexedDB' ou registrado
+ * @param {Object} options - Opções repassadas ao backend
+ * @returns {Promise<LocalSupabaseClient>} Cliente pronto para uso
+ */
+async function createLocalClient(type = 'localStorage', options = {}) {
+  const BackendClass = localBackendRegistry[type];
+  if (!BackendClass) {
+    throw new Error(`Backend local desconhecido: ${type}`);
+  }
+
+  const backend = new BackendClass(options);
+  await backend.init();
+
+  console.log(`✅ Backend local '${type}' inicializado`);
+  return new LocalSupabaseClient(backend, options.seedProvider);
+}
+
+const LocalBackends = {
+  MemoryBackend,
+  LocalStorageBackend,
+  IndexedDBBackend,
+  LocalQueryBuilder,
+  LocalSupabaseClient,
+  registerBackend,
+  createLocalClient,
+  getLocalSeedData
+};
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.LocalBackends = LocalBackends;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalBackends;
+}
+
+console.log('✅ Local Backends inicializados');
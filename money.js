@@ -0,0 +1,194 @@
+// Dinheiro - Valores em centavos inteiros e formatação em reais (BRL)
+//
+// Preços e totais circulam como números em reais (colunas numeric(10, 2) no
+// banco), mas toda conta passa por Money, que guarda centavos inteiros e
+// evita a deriva de ponto flutuante (0,1 + 0,2). A formatação é a mesma em
+// todas as telas: "R$ 1.234,56".
+//
+// Exemplo:
+//   Money.fromReais(45.9).multiply(120).add(Money.parse('R$ 1.500,00')).format()
+//   // 'R$ 7.008,00'
+
+class Money {
+  /**
+   * @param {number} cents - Valor em centavos (inteiro)
+   */
+  constructor(cents) {
+    if (!Number.isSafeInteger(cents)) {
+      throw new Error(`Valor monetário inválido: ${cents} (esperado número inteiro de centavos)`);
+    }
+    this.cents = cents;
+    Object.freeze(this);
+  }
+
+  static zero() {
+    return new Money(0);
+  }
+
+  static fromCents(cents) {
+    return new Money(cents);
+  }
+
+  /**
+   * Converte um valor em reais, arredondando para o centavo mais próximo
+   * @param {number} reais - Valor em reais
+   * @returns {Money} Valor
+   */
+  static fromReais(reais) {
+    if (typeof reais !== 'number' || !Number.isFinite(reais)) {
+      throw new Error(`Valor em reais inválido: ${reais}`);
+    }
+
+    // Desloca a vírgula pela representação decimal para que 1.005 vire 101
+    // centavos, e não 100 (1.005 * 100 = 100.49999...)
+    const text = String(Math.abs(reais));
+    const shifted = text.includes('e') ? Math.abs(reais) * 100 : Number(`${text}e2`);
+    return new Money(Math.sign(reais) * Math.round(shifted) || 0);
+  }
+
+  /**
+   * Lê um valor em reais de qualquer origem: Money, número ou texto em
+   * formato brasileiro ("R$ 1.234,56", "1234,56") ou com ponto decimal
+   * ("1234.56"). Sem vírgula, ponto seguido de três dígitos é separador de
+   * milhar ("1.234" = mil duzentos e trinta e quatro reais).
+   * @param {Money|number|string} value - Valor
+   * @returns {Money|null} Valor ou null se ilegível
+   */
+  static parse(value) {
+    if (value instanceof Money) return value;
+    if (typeof value === 'number') return Number.isFinite(value) ? Money.fromReais(value) : null;
+    if (typeof value !== 'string') return null;
+
+    let text = value.replace(/R\$/i, '').replace(/\s/g, '');
+    const negative = text.startsWith('-');
+    if (negative) text = text.slice(1);
+
+    let integer;
+    let fraction = '';
+    if (/^(\d{1,3}(\.\d{3})+|\d+),\d{0,2}$/.test(text)) {
+      [integer, fraction] = text.replace(/\./g, '').split(',');
+    } else if (/^\d+\.\d{1,2}$/.test(text)) {
+      [integer, fraction] = text.split('.');
+    } else if (/^(\d{1,3}(\.\d{3})+|\d+)$/.test(text)) {
+      integer = text.replace(/\./g, '');
+    } else {
+      return null;
+    }
+
+    const cents = Number(integer) * 100 + Number(fraction.padEnd(2, '0'));
+    if (!Number.isSafeInteger(cents)) return null;
+    return new Money(negative ? -cents : cents);
+  }
+
+  /**
+   * Como parse, mas lança erro para valores ilegíveis
+   * @param {Money|number|string} value - Valor
+   * @returns {Money} Valor
+   */
+  static from(value) {
+    const money = Money.parse(value);
+    if (!money) {
+      throw new Error(`Valor monetário ilegível: ${value}`);
+    }
+    return money;
+  }
+
+  /**
+   * Soma uma lista de valores (Money, números em reais ou textos)
+   * @param {Array} values - Valores
+   * @returns {Money} Total
+   */
+  static sum(values) {
+    return values.reduce((total, value) => total.add(value), Money.zero());
+  }
+
+  /**
+   * Formata um valor em reais para exibição; valores ausentes aparecem como R$ 0,00
+   * @param {Money|number|string} value - Valor
+   * @param {Object} options - Opções de format()
+   * @returns {string} Valor formatado
+   */
+  static format(value, options) {
+    return (Money.parse(value) || Money.zero()).format(options);
+  }
+
+  add(other) {
+    return new Money(this.cents + Money.from(other).cents);
+  }
+
+  subtract(other) {
+    return new Money(this.cents - Money.from(other).cents);
+  }
+
+  /**
+   * Multiplica por uma quantidade ou fator (ex.: convidados, percentual);
+   * o resultado é arredondado para o centavo, com meio centavo para longe do zero
+   * @param {number} factor - Multiplicador
+   * @returns {Money} Produto
+   */
+  multiply(factor) {
+    if (typeof factor !== 'number' || !Number.isFinite(factor)) {
+      throw new Error(`Multiplicador inválido: ${factor}`);
+    }
+
+    const product = this.cents * factor;
+    if (Number.isInteger(product)) return new Money(product);
+
+    const rounded = Math.round(Number(Math.abs(product).toFixed(6)));
+    return new Money(Math.sign(product) * rounded || 0);
+  }
+
+  compare(other) {
+    return Math.sign(this.cents - Money.from(other).cents);
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  isZero() {
+    return this.cents === 0;
+  }
+
+  isNegative() {
+    return this.cents < 0;
+  }
+
+  // Valor em reais para gravar no banco ou em JSON; exato até o centavo
+  toReais() {
+    return this.cents / 100;
+  }
+
+  /**
+   * Formata em reais: "R$ 1.234,56"
+   * @param {Object} options - { symbol: exibir "R$" (padrão true) }
+   * @returns {string} Valor formatado
+   */
+  format({ symbol = true } = {}) {
+    const absolute = Math.abs(this.cents);
+    const integer = String(Math.floor(absolute / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    const fraction = String(absolute % 100).padStart(2, '0');
+    const sign = this.cents < 0 ? '-' : '';
+
+    return `${sign}${symbol ? 'R$ ' : ''}${integer},${fraction}`;
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  toJSON() {
+    return this.toReais();
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.Money = Money;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Money };
+}
+
+console.log('✅ Money inicializado');
@@ -8,6 +8,10 @@ class MonitoringSystem {
       errors: 0,
       apiCalls: 0,
       cacheHits: 0,
+      cacheMisses: 0,
+      cacheEvictions: { total: 0, bytes: 0, byReason: {} },
+      requestDedupHits: 0,
+      circuitBreakers: {},
       performanceMarks: new Map()
     };
     
@@ -260,13 +264,28 @@ class MonitoringSystem {
   }
 
   /**
-   * Registra hit de cache
+   * Registra acesso ao cache: hit, miss ou remoção de entrada
    * @param {string} key - Chave do cache
-   * @param {boolean} hit - Se foi hit ou miss
+   * @param {boolean|string} hit - Se foi hit ou miss; 'eviction' quando o
+   *   CacheManager remove a entrada
+   * @param {Object} details - Na remoção: { reason, policy, size, priority }
    */
-  logCacheAccess(key, hit) {
+  logCacheAccess(key, hit, details = null) {
+    if (hit === 'eviction') {
+      const evictions = this.metrics.cacheEvictions;
+      const reason = (details && details.reason) || 'unknown';
+      evictions.total++;
+      evictions.bytes += (details && details.size) || 0;
+      evictions.byReason[reason] = (evictions.byReason[reason] || 0) + 1;
+
+      this.log('debug', 'Cache', `Cache eviction (${reason})`, { key, ...details });
+      return;
+    }
+
     if (hit) {
       this.metrics.cacheHits++;
+    } else {
+      this.metrics.cacheMisses++;
     }
     
     this.log('debug', 'Cache', hit ? 'Cache hit' : 'Cache miss', {
@@ -275,6 +294,33 @@ class MonitoringSystem {
     });
   }
 
+  /**
+   * Registra uma chamada atendida por requisição já em andamento
+   * (CacheManager.dedupe), sem nova ida ao servidor
+   * @param {string} key - Chave da requisição
+   */
+  logRequestDedup(key) {
+    this.metrics.requestDedupHits++;
+
+    this.log('debug', 'Cache', 'Request dedup hit', { key });
+  }
+
+  /**
+   * Registra mudança de estado de um circuit breaker
+   * @param {string} key - Chave do circuito (tabela, bucket)
+   * @param {string} state - Novo estado (closed, open, half-open)
+   * @param {any} details - Detalhes da transição
+   */
+  logCircuitState(key, state, details = null) {
+    this.metrics.circuitBreakers[key] = {
+      state,
+      since: new Date().toISOString()
+    };
+
+    const level = state === 'open' ? 'error' : state === 'half-open' ? 'warn' : 'info';
+    this.log(level, 'CircuitBreaker', `Circuito ${key}: ${state}`, details);
+  }
+
   /**
    * Rastreia interação do usuário
    * @param {string} type - Tipo de interação
@@ -467,6 +513,10 @@ class MonitoringSystem {
       apiCalls: this.metrics.apiCalls,
       userInteractions: this.metrics.userInteractions,
       cacheHits: this.metrics.cacheHits,
+      cacheMisses: this.metrics.cacheMisses,
+      cacheEvictions: this.metrics.cacheEvictions,
+      requestDedupHits: this.metrics.requestDedupHits,
+      circuitBreakers: this.metrics.circuitBreakers,
       pageLoad: this.metrics.pageLoad,
       memoryUsage: this.checkMemoryUsage(),
       topErrors: this.getTopErrors(errorLogs),
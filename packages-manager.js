@@ -6,6 +6,7 @@ class PackagesManager {
     this.lastLoadTime = null;
     this.fallbackPackages = this.getFallbackPackages();
     this.currentEventType = null;
+    this.unsubscribeRealtime = null;
   }
 
   /**
@@ -19,6 +20,7 @@ class PackagesManager {
     
     // Verificar cache primeiro
     if (useCache) {
+      await cacheManager.ready; // entradas salvas em visitas anteriores
       const cacheKey = cacheManager.generateKey('packages', { eventType });
       const cached = cacheManager.get(cacheKey);
       if (cached) {
@@ -29,12 +31,17 @@ class PackagesManager {
       }
     }
 
-    // Evitar múltiplas requisições simultâneas
-    if (this.isLoading) {
-      console.log('⏳ Carregamento já em andamento...');
-      return this.packages;
-    }
+    // Chamadas simultâneas esperam a mesma requisição e recebem o mesmo resultado
+    const cacheKey = cacheManager.generateKey('packages', { eventType });
+    return await cacheManager.dedupe(cacheKey, () => this.fetchPackages(eventType));
+  }
 
+  /**
+   * Busca os pacotes no Supabase, com fallback local, e guarda no cache
+   * @param {string} eventType - Tipo de evento opcional para filtrar
+   * @returns {Promise<Array>} Lista de pacotes
+   */
+  async fetchPackages(eventType = null) {
     this.isLoading = true;
     this.showLoadingState();
 
@@ -49,7 +56,7 @@ class PackagesManager {
         
         // Salvar no cache
         const cacheKey = cacheManager.generateKey('packages', { eventType });
-        cacheManager.set(cacheKey, this.packages);
+        cacheManager.set(cacheKey, this.packages, undefined, { priority: 'high', tags: ['table:packages'] });
         
         console.log(`✅ ${this.packages.length} pacotes carregados do Supabase`);
         this.renderPackages();
@@ -95,8 +102,8 @@ class PackagesManager {
 
       // Validar dados recebidos
       const validPackages = [];
-      for (const package of result.data || []) {
-        const validation = DataModels.validatePackage(package);
+      for (const pkg of result.data || []) {
+        const validation = DataModels.validatePackage(pkg);
         if (validation.valid) {
           validPackages.push(validation.sanitized);
         } else {
@@ -148,8 +155,8 @@ class PackagesManager {
     existingPackages.forEach(card => card.remove());
 
     // Renderizar cada pacote
-    this.packages.forEach(package => {
-      const packageElement = this.createPackageElement(package);
+    this.packages.forEach(pkg => {
+      const packageElement = this.createPackageElement(pkg);
       packagesContainer.appendChild(packageElement);
     });
 
@@ -184,28 +191,28 @@ class PackagesManager {
 
   /**
    * Cria elemento HTML para um pacote
-   * @param {Object} package - Dados do pacote
+   * @param {Object} pkg - Dados do pacote
    * @returns {HTMLElement} Elemento do pacote
    */
-  createPackageElement(package) {
+  createPackageElement(pkg) {
     const packageCard = document.createElement('div');
     packageCard.className = 'package-card';
-    packageCard.setAttribute('data-package-id', package.id || package.name);
+    packageCard.setAttribute('data-package-id', pkg.id || pkg.name);
 
     // Criar lista de serviços inclusos
-    const servicesList = this.createServicesListHTML(package.services || []);
+    const servicesList = this.createServicesListHTML(pkg.services || []);
     
     packageCard.innerHTML = `
       <div class="package-header">
-        <div class="package-name">${package.name}</div>
-        <div class="package-price">R$ ${package.price_per_person.toFixed(2).replace('.', ',')}/pessoa</div>
+        <div class="package-name">${pkg.name}</div>
+        <div class="package-price">${Money.format(pkg.price_per_person)}/pessoa</div>
       </div>
       <div class="package-description">
-        ${package.description || ''}
+        ${pkg.description || ''}
       </div>
       ${servicesList}
       <div class="package-actions" style="margin-top: 15px;">
-        <button class="btn-add" onclick="selectPackage(this, '${package.name}', ${package.price_per_person})" style="width: 100%;">
+        <button class="btn-add" onclick="selectPackage(this, '${pkg.name}', ${pkg.price_per_person})" style="width: 100%;">
           Selecionar Pacote
         </button>
       </div>
@@ -353,7 +360,7 @@ class PackagesManager {
    */
   async refreshPackages(eventType = null) {
     console.log('🔄 Forçando atualização de pacotes...');
-    cacheManager.invalidate('packages');
+    cacheManager.invalidateByTag('table:packages');
     return await this.loadPackages(eventType, false);
   }
 
@@ -377,6 +384,34 @@ class PackagesManager {
     return await this.loadPackages(eventType);
   }
 
+  /**
+   * Assina mudanças da tabela de pacotes para atualizar o simulador em tempo real
+   */
+  enableRealtime() {
+    if (this.unsubscribeRealtime || !window.supabaseClient) return;
+    this.unsubscribeRealtime = supabaseClient.subscribe('packages', (change) => this.handleRealtimeChange(change));
+  }
+
+  /**
+   * Recarrega e re-renderiza os pacotes no lugar, mantendo o filtro atual
+   * @param {Object} change - Evento de mudança { eventType, new, old }
+   */
+  async handleRealtimeChange(change) {
+    console.log(`📡 Pacotes alterados (${change.eventType}), atualizando...`);
+
+    const result = await this.loadFromSupabase(this.currentEventType);
+    if (!result.success) {
+      console.warn('⚠️ Falha ao atualizar pacotes em tempo real:', result.error);
+      return;
+    }
+
+    this.packages = result.data;
+    this.lastLoadTime = Date.now();
+    // subscribe() já invalidou table:packages, inclusive os outros tipos de evento
+    cacheManager.set(cacheManager.generateKey('packages', { eventType: this.currentEventType }), this.packages, undefined, { priority: 'high', tags: ['table:packages'] });
+    this.renderPackages();
+  }
+
   /**
    * Retorna estatísticas dos pacotes
    * @returns {Object} Estatísticas
@@ -401,6 +436,9 @@ const packagesManager = new PackagesManager();
 // Exportar para uso global
 if (typeof window !== 'undefined') {
   window.packagesManager = packagesManager;
+
+  // Atualizações em tempo real
+  packagesManager.enableRealtime();
 }
 
 console.log('✅ Packages Manager inicializado');
\ No newline at end of file
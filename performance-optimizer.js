@@ -18,6 +18,7 @@ class PerformanceOptimizer {
       requests: 0,
       failures: 0,
       retries: 0,
+      nonRetryable: 0,
       cacheHits: 0,
       cacheMisses: 0,
       averageResponseTime: 0,
@@ -32,21 +33,32 @@ class PerformanceOptimizer {
   /**
    * Executa operação com retry automático
    * @param {Function} operation - Operação a ser executada
-   * @param {Object} options - Opções de configuração
+   * @param {Object} options - Opções de configuração (circuitKey ativa o circuit breaker)
    * @returns {Promise} Resultado da operação
    */
   async withRetry(operation, options = {}) {
     const config = {
-      maxRetries: options.maxRetries || this.retryConfig.maxRetries,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : this.retryConfig.maxRetries,
       baseDelay: options.baseDelay || this.retryConfig.baseDelay,
       context: options.context || 'operação',
-      timeout: options.timeout || this.timeoutConfig.default
+      timeout: options.timeout || this.timeoutConfig.default,
+      circuitKey: options.circuitKey || null
     };
 
+    // Sem retry-policy.js carregado: todo erro é tentado de novo, com backoff fixo
+    const policy = window.retryPolicy || null;
+    const breaker = config.circuitKey && policy ? policy.getBreaker(config.circuitKey) : null;
+    if (breaker && !breaker.canRequest()) {
+      this.metrics.failures++;
+      throw new CircuitOpenError(config.circuitKey, breaker.getRemainingOpenTime());
+    }
+
     let lastError;
+    let classification;
     const startTime = Date.now();
+    const maxAttempts = config.maxRetries + 1;
 
-    for (let attempt = 1; attempt <= config.maxRetries + 1; attempt++) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
         this.metrics.requests++;
         
@@ -56,6 +68,7 @@ class PerformanceOptimizer {
         // Registrar métricas de sucesso
         const responseTime = Date.now() - startTime;
         this.updateMetrics(responseTime, true);
+        if (breaker) breaker.recordSuccess();
         
         if (attempt > 1) {
           console.log(`✅ Sucesso na tentativa ${attempt} para ${config.context}`);
@@ -65,26 +78,47 @@ class PerformanceOptimizer {
 
       } catch (error) {
         lastError = error;
+        classification = policy ? policy.classifyError(error) : { category: 'unknown', retryable: true };
         this.metrics.failures++;
         
-        if (attempt <= config.maxRetries) {
+        if (!classification.retryable) {
+          console.warn(`⚠️ Erro não recuperável (${classification.category}) em ${config.context}, sem novas tentativas`);
+          this.metrics.nonRetryable++;
+          break;
+        }
+
+        if (policy ? policy.shouldRetry(classification, attempt, maxAttempts) : attempt < maxAttempts) {
           this.metrics.retries++;
-          const delay = Math.min(
-            config.baseDelay * Math.pow(this.retryConfig.backoffFactor, attempt - 1),
-            this.retryConfig.maxDelay
-          );
+          const delay = policy
+            ? policy.getDelay(attempt, classification, {
+              baseDelay: config.baseDelay,
+              maxDelay: this.retryConfig.maxDelay,
+              backoffFactor: this.retryConfig.backoffFactor
+            })
+            : Math.min(config.baseDelay * Math.pow(this.retryConfig.backoffFactor, attempt - 1), this.retryConfig.maxDelay);
           
           console.warn(`⚠️ Tentativa ${attempt} falhou para ${config.context}. Tentando novamente em ${delay}ms...`);
           await this.delay(delay);
+        } else {
+          break;
         }
       }
     }
 
+    if (breaker) {
+      if (policy.countsAsFailure(classification)) {
+        breaker.recordFailure();
+      } else {
+        breaker.releaseTrial();
+      }
+    }
+
     // Registrar métricas de falha
     const responseTime = Date.now() - startTime;
     this.updateMetrics(responseTime, false);
     
     console.error(`❌ Todas as tentativas falharam para ${config.context}:`, lastError.message);
+    lastError.classification = classification;
     throw lastError;
   }
 
@@ -532,6 +566,7 @@ class PerformanceOptimizer {
       requests: 0,
       failures: 0,
       retries: 0,
+      nonRetryable: 0,
       cacheHits: 0,
       cacheMisses: 0,
       averageResponseTime: 0,
@@ -0,0 +1,136 @@
+// Números de Protocolo - Formato BS-AAAA-NNNNNN-D
+//
+// Protocolos oficiais são sequenciais por ano e alocados pelo backend (função
+// allocate_protocol_number no Postgres, LocalSupabaseClient.rpc nos backends
+// locais). O último dígito é verificador pelo algoritmo de Damm, que detecta
+// qualquer dígito trocado e qualquer inversão de dígitos vizinhos, então um
+// número lido errado ao telefone é recusado antes de qualquer consulta.
+// O dígito vale para ano + sequência: BS-2026-000123 termina em 8, não em 7
+// (o exemplo 'BS-2026-000123-7' do pedido original não passa na verificação).
+//
+// Orçamentos criados sem conexão recebem um protocolo provisório
+// (BS-AAAA-PROV-XXXXXX), trocado pelo oficial quando sincronizados.
+
+class ProtocolNumbers {
+  constructor() {
+    this.prefix = 'BS';
+    this.sequenceDigits = 6;
+    this.provisionalMarker = 'PROV';
+    this.provisionalLength = 6;
+    // Sem 0/O, 1/I/L: fáceis de confundir ao ditar
+    this.provisionalAlphabet = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+    // Quase-grupo totalmente antissimétrico de ordem 10 do algoritmo de Damm
+    // (a mesma tabela está em protocol_check_digit, no Postgres)
+    this.dammTable = [
+      [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+      [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+      [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+      [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+      [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+      [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+      [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+      [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+      [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+      [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+    ];
+  }
+
+  /**
+   * Calcula o dígito verificador de ano + sequência
+   * @param {number} year - Ano do protocolo
+   * @param {number} sequence - Número sequencial no ano
+   * @returns {number} Dígito de 0 a 9
+   */
+  checkDigit(year, sequence) {
+    return `${year}${this.padSequence(sequence)}`.split('')
+      .reduce((interim, digit) => this.dammTable[interim][Number(digit)], 0);
+  }
+
+  /**
+   * Monta o protocolo oficial
+   * @param {number} year - Ano
+   * @param {number} sequence - Sequência no ano (a partir de 1)
+   * @returns {string} Protocolo, ex.: 'BS-2026-000123-8'
+   */
+  format(year, sequence) {
+    return `${this.prefix}-${year}-${this.padSequence(sequence)}-${this.checkDigit(year, sequence)}`;
+  }
+
+  padSequence(sequence) {
+    return String(sequence).padStart(this.sequenceDigits, '0');
+  }
+
+  /**
+   * Interpreta um protocolo oficial digitado. Aceita minúsculas, espaços ou
+   * pontos no lugar dos hífens e sequência sem zeros à esquerda.
+   * @param {string} value - Protocolo digitado
+   * @returns {Object} { valid, protocol, year, sequence } ou
+   *   { valid: false, reason: 'format'|'check_digit' }
+   */
+  parse(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+    const match = text.match(/^BS[\s.-]*(\d{4})[\s.-]*(\d{1,12})[\s.-]*(\d)$/);
+    if (!match) return { valid: false, reason: 'format' };
+
+    const year = Number(match[1]);
+    const sequence = Number(match[2]);
+    if (sequence < 1) return { valid: false, reason: 'format' };
+    if (this.checkDigit(year, sequence) !== Number(match[3])) {
+      return { valid: false, reason: 'check_digit' };
+    }
+
+    return { valid: true, protocol: this.format(year, sequence), year, sequence };
+  }
+
+  isValid(value) {
+    return this.parse(value).valid;
+  }
+
+  /**
+   * Gera um protocolo provisório para orçamentos ainda não enviados ao backend
+   * @param {Date} date - Data de criação
+   * @returns {string} Protocolo provisório, ex.: 'BS-2026-PROV-7K3Q9X'
+   */
+  generateProvisional(date = new Date()) {
+    let code = '';
+    for (let i = 0; i < this.provisionalLength; i++) {
+      code += this.provisionalAlphabet[Math.floor(Math.random() * this.provisionalAlphabet.length)];
+    }
+    return `${this.prefix}-${date.getFullYear()}-${this.provisionalMarker}-${code}`;
+  }
+
+  isProvisional(value) {
+    return new RegExp(`^${this.prefix}-\\d{4}-${this.provisionalMarker}-[${this.provisionalAlphabet}]{${this.provisionalLength}}$`).test(String(value || ''));
+  }
+
+  /**
+   * Normaliza um protocolo para busca: oficiais válidos no formato canônico,
+   * provisórios e protocolos antigos (aleatórios, anteriores à numeração
+   * sequencial) em maiúsculas
+   * @param {string} value - Protocolo digitado
+   * @returns {string|null} Protocolo normalizado ou null se inválido
+   */
+  normalize(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+    const parsed = this.parse(text);
+    if (parsed.valid) return parsed.protocol;
+    if (parsed.reason === 'check_digit') return null;
+    if (this.isProvisional(text) || /^BS[0-9A-Z]{8,}$/.test(text)) return text;
+    return null;
+  }
+}
+
+// Instância global de números de protocolo
+const protocolNumbers = new ProtocolNumbers();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.protocolNumbers = protocolNumbers;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { protocolNumbers, ProtocolNumbers };
+}
+
+console.log('✅ Protocol Numbers inicializado');
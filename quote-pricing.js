@@ -0,0 +1,138 @@
+// Precificação de Orçamentos - Total calculado pelo catálogo, não pelo navegador
+//
+// O navegador envia só o que o cliente escolheu (nome do serviço e
+// quantidade); preço unitário e total vêm do catálogo do salão (services e
+// packages ativos). O mesmo cálculo roda no simulador, em
+// SupabaseClient.createQuote, nos backends locais (LocalSupabaseClient, que
+// também atende o servidor stub) e, espelhado em SQL, no trigger price_quote.
+//
+// Um total enviado diferente do calculado não recusa o orçamento: ele é
+// gravado com o total do catálogo, price_mismatch = true e o valor enviado em
+// client_total_amount. Itens fora do catálogo recusam o orçamento.
+
+class QuotePricing {
+  // Chave de busca no catálogo: sem espaços extras e em minúsculas
+  normalizeName(name) {
+    return String(name === undefined || name === null ? '' : name).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Monta o catálogo de preços. Itens inativos ou na lixeira ficam de fora;
+   * num nome repetido vale o serviço, depois o de menor id.
+   * @param {Array} services - Linhas de services do salão
+   * @param {Array} packages - Linhas de packages do salão
+   * @returns {Map} Nome normalizado → { kind, id, name, price_per_person, version }
+   */
+  buildCatalog(services = [], packages = []) {
+    const catalog = new Map();
+    const add = (kind, rows) => [...(rows || [])]
+      .filter(row => row && row.active !== false && !row.deleted_at)
+      .sort((a, b) => Number(a.id) - Number(b.id))
+      .forEach(row => {
+        const key = this.normalizeName(row.name);
+        if (!key || catalog.has(key)) return;
+        catalog.set(key, {
+          kind,
+          id: row.id,
+          name: row.name,
+          price_per_person: getMoney().from(row.price_per_person).toReais(),
+          version: row.version === undefined ? null : row.version
+        });
+      });
+
+    add('service', services);
+    add('package', packages);
+    return catalog;
+  }
+
+  /**
+   * Recalcula um orçamento com os preços do catálogo
+   * @param {Object} quote - Orçamento (selected_services, guest_count, total_amount)
+   * @param {Map} catalog - Resultado de buildCatalog
+   * @param {Date} pricedAt - Momento do cálculo, gravado no snapshot
+   * @returns {Object} { valid, errors, fields } — fields traz selected_services,
+   *   total_amount, client_total_amount, price_mismatch e price_snapshot
+   */
+  priceQuote(quote, catalog, pricedAt = new Date()) {
+    const errors = [];
+    const selectedServices = [];
+    const snapshotItems = [];
+    const Money = getMoney();
+    let total = Money.zero();
+
+    (Array.isArray(quote.selected_services) ? quote.selected_services : []).forEach(item => {
+      const name = item && typeof item === 'object' ? String(item.name || '').trim() : '';
+      const quantity = item && item.quantity !== undefined && item.quantity !== null && item.quantity !== ''
+        ? Number(item.quantity)
+        : Number(quote.guest_count);
+      const entry = catalog.get(this.normalizeName(name));
+
+      if (!entry) {
+        errors.push(`Serviço fora do catálogo: ${name || '(sem nome)'}`);
+        return;
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.push(`Quantidade inválida para ${entry.name}`);
+        return;
+      }
+
+      const lineTotal = Money.from(entry.price_per_person).multiply(quantity);
+      total = total.add(lineTotal);
+
+      selectedServices.push({
+        name: entry.name,
+        quantity,
+        price_per_unit: entry.price_per_person,
+        total: lineTotal.toReais()
+      });
+      snapshotItems.push({
+        kind: entry.kind,
+        catalog_id: entry.id,
+        version: entry.version,
+        name: entry.name,
+        quantity,
+        price_per_unit: entry.price_per_person,
+        total: lineTotal.toReais(),
+        client_price_per_unit: item.price_per_unit === undefined ? null : item.price_per_unit
+      });
+    });
+
+    const clientTotal = Money.parse(quote.total_amount);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      fields: {
+        selected_services: selectedServices,
+        total_amount: total.toReais(),
+        client_total_amount: clientTotal ? clientTotal.toReais() : null,
+        price_mismatch: !clientTotal || !clientTotal.equals(total),
+        price_snapshot: {
+          priced_at: pricedAt.toISOString(),
+          items: snapshotItems,
+          total: total.toReais()
+        }
+      }
+    };
+  }
+}
+
+// money.js: global no navegador, require no servidor stub (Node)
+function getMoney() {
+  if (typeof Money !== 'undefined') return Money;
+  return require('./money.js').Money;
+}
+
+// Instância global de precificação
+const quotePricing = new QuotePricing();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.quotePricing = quotePricing;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { quotePricing, QuotePricing };
+}
+
+console.log('✅ Quote Pricing inicializado');
@@ -3,7 +3,9 @@ class QuotesManager {
   constructor() {
     this.currentQuote = null;
     this.isSubmitting = false;
+    this.isSyncing = false;
     this.submissionHistory = [];
+    this.localQuotesKey = 'buffet_quotes';
   }
 
   /**
@@ -15,7 +17,7 @@ class QuotesManager {
 
     try {
       // Coletar dados do simulador
-      const quoteData = this.collectSimulatorData();
+      const quoteData = await this.collectSimulatorData();
       
       if (!quoteData) {
         throw new Error('Dados do simulador não encontrados');
@@ -35,6 +37,9 @@ class QuotesManager {
         this.addToHistory(result.data);
         this.showSuccessMessage(result.data);
         return result;
+      } else if (result.offline) {
+        // Salvo localmente com protocolo provisório; a mensagem já foi exibida
+        return result;
       } else {
         throw new Error(result.error);
       }
@@ -48,9 +53,11 @@ class QuotesManager {
 
   /**
    * Coleta dados do simulador atual
-   * @returns {Object|null} Dados do orçamento
+   * @returns {Promise<Object|null>} Dados do orçamento
    */
-  collectSimulatorData() {
+  async collectSimulatorData() {
+    let simulatorData;
+
     try {
       // Obter número de convidados
       const guestCountElement = document.querySelector('#guestCount');
@@ -69,22 +76,56 @@ class QuotesManager {
       // Calcular total
       const totalAmount = this.calculateTotal(selectedServices, guestCount);
 
-      // Solicitar dados do cliente via modal
-      return this.requestClientData({
+      simulatorData = {
         guest_count: guestCount,
         event_type: eventType,
         selected_services: selectedServices,
         total_amount: totalAmount
-      });
-
+      };
     } catch (error) {
       console.error('❌ Erro ao coletar dados do simulador:', error);
       return null;
     }
+
+    // Fora do try: serviço fora do catálogo interrompe o orçamento com a mensagem do erro
+    const pricedData = await this.applyCatalogPrices(simulatorData);
+
+    // Solicitar dados do cliente via modal
+    return this.requestClientData(pricedData);
+  }
+
+  /**
+   * Troca os preços exibidos no simulador pelos do catálogo, com o mesmo
+   * cálculo do backend (quote-pricing.js). Sem conexão, mantém os exibidos:
+   * o backend recalcula o total quando o orçamento for sincronizado.
+   * @param {Object} quoteData - Dados do simulador
+   * @returns {Promise<Object>} Dados com preços e total do catálogo
+   */
+  async applyCatalogPrices(quoteData) {
+    if (!window.supabaseClient) return quoteData;
+
+    let pricing;
+    try {
+      pricing = await supabaseClient.priceQuote(quoteData);
+    } catch (error) {
+      console.warn('⚠️ Catálogo indisponível, o total será conferido no envio:', error.message);
+      return quoteData;
+    }
+
+    if (!pricing.valid) {
+      throw new Error(pricing.errors.join(', '));
+    }
+
+    return {
+      ...quoteData,
+      selected_services: pricing.fields.selected_services,
+      total_amount: pricing.fields.total_amount
+    };
   }
 
   /**
-   * Obtém serviços selecionados do simulador
+   * Obtém serviços selecionados do simulador. Os preços lidos são só os
+   * exibidos: o total que vale é recalculado pelo catálogo.
    * @returns {Array} Lista de serviços selecionados
    */
   getSelectedServices() {
@@ -97,16 +138,15 @@ class QuotesManager {
       
       if (nameElement && calcElement) {
         const name = nameElement.textContent.trim();
-        const calcText = calcElement.textContent.trim();
-        
-        // Extrair quantidade e preço do texto de cálculo
-        const match = calcText.match(/(\d+)\s*x\s*R\$\s*([\d,]+)/);
-        if (match) {
+        const quantity = parseInt(calcElement.dataset.quantity);
+        const price = Money.parse(calcElement.dataset.price);
+
+        if (price && quantity > 0) {
           services.push({
             name: name,
-            quantity: parseInt(match[1]),
-            price_per_unit: parseFloat(match[2].replace(',', '.')),
-            total: parseInt(match[1]) * parseFloat(match[2].replace(',', '.'))
+            quantity: quantity,
+            price_per_unit: price.toReais(),
+            total: price.multiply(quantity).toReais()
           });
         }
       }
@@ -122,7 +162,7 @@ class QuotesManager {
    * @returns {number} Total calculado
    */
   calculateTotal(services, guestCount) {
-    return services.reduce((total, service) => total + service.total, 0);
+    return Money.sum(services.map(service => service.total)).toReais();
   }
 
   /**
@@ -141,6 +181,22 @@ class QuotesManager {
       const form = modal.querySelector('#clientDataForm');
       const closeBtn = modal.querySelector('.close-modal');
       const cancelBtn = modal.querySelector('.cancel-btn');
+      const getClientType = () => form.querySelector('input[name="client_type"]:checked').value;
+
+      // Máscaras de digitação
+      brDocuments.attachMask(form.querySelector('#client_phone'), 'phone');
+      brDocuments.attachMask(form.querySelector('#client_cpf'), 'cpf');
+      brDocuments.attachMask(form.querySelector('#client_cnpj'), 'cnpj');
+
+      // Pessoa física / jurídica alterna os campos exibidos
+      form.querySelectorAll('input[name="client_type"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+          const isCompany = getClientType() === 'pj';
+          modal.querySelector('.pf-fields').style.display = isCompany ? 'none' : 'block';
+          modal.querySelector('.pj-fields').style.display = isCompany ? 'block' : 'none';
+          this.clearClientDataErrors(form);
+        });
+      });
 
       const closeModal = () => {
         modal.remove();
@@ -157,19 +213,71 @@ class QuotesManager {
         e.preventDefault();
         
         const formData = new FormData(form);
+        const clientType = getClientType();
         const clientData = {
           client_name: formData.get('client_name'),
           client_email: formData.get('client_email'),
           client_phone: formData.get('client_phone'),
+          client_type: clientType,
+          client_document: clientType === 'pj' ? formData.get('client_cnpj') : formData.get('client_cpf'),
+          company_name: clientType === 'pj' ? formData.get('company_name') : null,
           ...quoteData
         };
 
+        // Erros de documento e telefone aparecem junto ao campo, sem fechar o modal
+        const validation = DataModels.validateQuote(clientData);
+        if (!validation.valid && this.showClientDataErrors(form, validation.fieldErrors, clientType)) {
+          return;
+        }
+
         modal.remove();
         resolve(clientData);
       });
     });
   }
 
+  /**
+   * Mostra erros de validação junto aos campos do modal de dados do cliente
+   * @param {HTMLFormElement} form - Formulário do modal
+   * @param {Array<Object>} fieldErrors - Erros estruturados de DataModels.validateQuote
+   * @param {string} clientType - 'pf' ou 'pj'
+   * @returns {boolean} Se algum erro pertence a um campo do modal
+   */
+  showClientDataErrors(form, fieldErrors, clientType) {
+    this.clearClientDataErrors(form);
+
+    const inputs = {
+      client_name: 'client_name',
+      client_email: 'client_email',
+      client_phone: 'client_phone',
+      client_document: clientType === 'pj' ? 'client_cnpj' : 'client_cpf',
+      company_name: 'company_name'
+    };
+
+    let shown = false;
+    fieldErrors.forEach(error => {
+      const input = inputs[error.path] && form.querySelector(`#${inputs[error.path]}`);
+      if (!input) return;
+
+      input.style.borderColor = '#f44336';
+      const message = document.createElement('div');
+      message.className = 'client-field-error';
+      message.style.cssText = 'color: #f44336; font-size: 0.85rem; margin-top: 4px;';
+      message.textContent = error.message;
+      input.insertAdjacentElement('afterend', message);
+      shown = true;
+    });
+
+    return shown;
+  }
+
+  clearClientDataErrors(form) {
+    form.querySelectorAll('.client-field-error').forEach(message => message.remove());
+    form.querySelectorAll('input').forEach(input => {
+      input.style.borderColor = '';
+    });
+  }
+
   /**
    * Cria modal para coleta de dados do cliente
    * @param {Object} quoteData - Dados do orçamento
@@ -191,7 +299,7 @@ class QuotesManager {
           <div><strong>Convidados:</strong> ${quoteData.guest_count}</div>
           <div><strong>Serviços:</strong> ${quoteData.selected_services.length} selecionados</div>
           <div style="font-size: 1.2rem; font-weight: bold; color: #4caf50; margin-top: 10px;">
-            <strong>Total: R$ ${quoteData.total_amount.toFixed(2).replace('.', ',')}</strong>
+            <strong>Total: ${Money.format(quoteData.total_amount)}</strong>
           </div>
         </div>
 
@@ -210,13 +318,42 @@ class QuotesManager {
                    placeholder="seu@email.com">
           </div>
 
-          <div style="margin-bottom: 20px;">
+          <div style="margin-bottom: 15px;">
             <label for="client_phone" style="display: block; margin-bottom: 5px; font-weight: 600;">Telefone *</label>
             <input type="tel" id="client_phone" name="client_phone" required 
                    style="width: 100%; padding: 12px; border: 2px solid #e0e0e0; border-radius: 8px;"
                    placeholder="(85) 99999-9999">
           </div>
 
+          <div style="margin-bottom: 15px; display: flex; gap: 20px;">
+            <label style="cursor: pointer;">
+              <input type="radio" name="client_type" value="pf" checked> Pessoa física
+            </label>
+            <label style="cursor: pointer;">
+              <input type="radio" name="client_type" value="pj"> Pessoa jurídica
+            </label>
+          </div>
+
+          <div class="pf-fields" style="margin-bottom: 20px;">
+            <label for="client_cpf" style="display: block; margin-bottom: 5px; font-weight: 600;">CPF</label>
+            <input type="text" id="client_cpf" name="client_cpf" inputmode="numeric"
+                   style="width: 100%; padding: 12px; border: 2px solid #e0e0e0; border-radius: 8px;"
+                   placeholder="000.000.000-00 (opcional, para nota fiscal)">
+          </div>
+
+          <div class="pj-fields" style="display: none; margin-bottom: 20px;">
+            <div style="margin-bottom: 15px;">
+              <label for="company_name" style="display: block; margin-bottom: 5px; font-weight: 600;">Razão Social *</label>
+              <input type="text" id="company_name" name="company_name"
+                     style="width: 100%; padding: 12px; border: 2px solid #e0e0e0; border-radius: 8px;"
+                     placeholder="Nome empresarial">
+            </div>
+            <label for="client_cnpj" style="display: block; margin-bottom: 5px; font-weight: 600;">CNPJ *</label>
+            <input type="text" id="client_cnpj" name="client_cnpj"
+                   style="width: 100%; padding: 12px; border: 2px solid #e0e0e0; border-radius: 8px;"
+                   placeholder="00.000.000/0000-00">
+          </div>
+
           <div style="display: flex; gap: 10px;">
             <button type="button" class="cancel-btn" 
                     style="flex: 1; padding: 12px; border: 2px solid #ccc; background: white; border-radius: 8px; cursor: pointer;">
@@ -254,7 +391,7 @@ class QuotesManager {
       const result = await supabaseClient.createQuote(quoteData);
       
       if (result.error) {
-        throw new Error(result.error.message);
+        throw Object.assign(new Error(result.error.message), { code: result.error.code });
       }
 
       return {
@@ -263,11 +400,18 @@ class QuotesManager {
       };
 
     } catch (error) {
+      // Orçamento recusado (ex.: serviço fora do catálogo): reenviar não adianta
+      if (this.isRejection(error)) {
+        return { success: false, error: error.message };
+      }
+
       // Salvar localmente se falhar
-      this.saveLocallyAsFallback(quoteData);
+      const savedQuote = this.saveLocallyAsFallback(quoteData);
       
       return {
         success: false,
+        offline: Boolean(savedQuote),
+        data: savedQuote,
         error: error.message
       };
     } finally {
@@ -278,25 +422,133 @@ class QuotesManager {
   /**
    * Salva orçamento localmente como fallback
    * @param {Object} quoteData - Dados do orçamento
+   * @returns {Object|null} Orçamento salvo ou null se o armazenamento falhar
    */
   saveLocallyAsFallback(quoteData) {
     try {
-      const localQuotes = JSON.parse(localStorage.getItem('buffet_quotes') || '[]');
+      const localQuotes = this.getLocalQuotes();
+      const venue = window.supabaseClient && supabaseClient.venue;
       const quoteWithId = {
         ...quoteData,
+        // Protocolo provisório, trocado pelo oficial em syncPendingQuotes
+        protocol_number: protocolNumbers.isProvisional(quoteData.protocol_number)
+          ? quoteData.protocol_number
+          : protocolNumbers.generateProvisional(),
+        venue_id: quoteData.venue_id || (venue ? venue.id : undefined),
         id: Date.now().toString(),
         created_at: new Date().toISOString(),
         status: 'pending_sync'
       };
       
       localQuotes.push(quoteWithId);
-      localStorage.setItem('buffet_quotes', JSON.stringify(localQuotes));
+      this.saveLocalQuotes(localQuotes);
       
       console.log('💾 Orçamento salvo localmente para sincronização posterior');
       
+      this.currentQuote = quoteWithId;
+      this.addToHistory(quoteWithId);
       this.showOfflineSuccessMessage(quoteWithId);
+      return quoteWithId;
     } catch (error) {
       console.error('❌ Erro ao salvar localmente:', error);
+      return null;
+    }
+  }
+
+  // Erros de validação do backend (ex.: 23514 do price_quote) não são falha de conexão
+  isRejection(error) {
+    return Boolean(window.retryPolicy) && retryPolicy.classifyError(error).category === 'validation';
+  }
+
+  getLocalQuotes() {
+    return JSON.parse(localStorage.getItem(this.localQuotesKey) || '[]');
+  }
+
+  saveLocalQuotes(localQuotes) {
+    localStorage.setItem(this.localQuotesKey, JSON.stringify(localQuotes));
+  }
+
+  /**
+   * Envia os orçamentos salvos offline e troca o protocolo provisório pelo
+   * oficial reservado no backend. Para no primeiro erro (ainda sem conexão);
+   * os restantes ficam para a próxima tentativa.
+   * @returns {Promise<Object>} { synced: [{ provisional, protocol }], pending }
+   */
+  async syncPendingQuotes() {
+    if (this.isSyncing || !window.supabaseClient) {
+      return { synced: [], pending: this.getLocalQuotes().filter(quote => quote.status === 'pending_sync').length };
+    }
+
+    this.isSyncing = true;
+    const synced = [];
+
+    try {
+      for (const localQuote of this.getLocalQuotes().filter(quote => quote.status === 'pending_sync')) {
+        const { id, created_at, status, ...quoteData } = localQuote;
+
+        try {
+          const result = await supabaseClient.createQuote({ ...quoteData, status: 'pending' });
+          if (result.error) {
+            throw Object.assign(new Error(result.error.message), { code: result.error.code });
+          }
+          const protocol = result.data[0].protocol_number;
+
+          // Relê a lista: outra aba pode ter salvo orçamentos nesse meio-tempo
+          const localQuotes = this.getLocalQuotes().map(quote => quote.id === id
+            ? { ...quote, status: 'synced', provisional_protocol: quote.protocol_number, protocol_number: protocol, synced_at: new Date().toISOString() }
+            : quote);
+          this.saveLocalQuotes(localQuotes);
+
+          this.reconcileProtocol(localQuote.protocol_number, protocol);
+          synced.push({ provisional: localQuote.protocol_number, protocol });
+        } catch (error) {
+          // Recusado pelo backend: sai da fila para não bloquear os demais
+          if (this.isRejection(error)) {
+            this.saveLocalQuotes(this.getLocalQuotes().map(quote => quote.id === id
+              ? { ...quote, status: 'rejected', rejection_reason: error.message }
+              : quote));
+            console.warn(`⚠️ Orçamento ${localQuote.protocol_number} recusado:`, error.message);
+            continue;
+          }
+
+          console.warn(`⚠️ Orçamento ${localQuote.protocol_number} continua pendente:`, error.message);
+          break;
+        }
+      }
+    } finally {
+      this.isSyncing = false;
+    }
+
+    if (synced.length > 0) {
+      console.log(`🔄 ${synced.length} orçamento(s) offline sincronizado(s)`);
+    }
+
+    return { synced, pending: this.getLocalQuotes().filter(quote => quote.status === 'pending_sync').length };
+  }
+
+  /**
+   * Substitui o protocolo provisório pelo oficial no orçamento atual e no
+   * histórico, e avisa o cliente do novo número
+   * @param {string} provisional - Protocolo provisório
+   * @param {string} protocol - Protocolo oficial
+   */
+  reconcileProtocol(provisional, protocol) {
+    const replace = quote => (quote && quote.protocol_number === provisional
+      ? { ...quote, protocol_number: protocol, provisional_protocol: provisional }
+      : quote);
+
+    this.submissionHistory = this.submissionHistory.map(replace);
+    const current = replace(this.currentQuote);
+    if (current !== this.currentQuote) {
+      this.currentQuote = current;
+      this.updateWhatsAppButton(current);
+    }
+
+    if (window.errorHandler) {
+      errorHandler.showUserFriendlyMessage({
+        type: 'success',
+        userMessage: `✅ Orçamento enviado! O protocolo provisório ${provisional} agora é ${protocol}`
+      }, 7000);
     }
   }
 
@@ -325,7 +577,7 @@ class QuotesManager {
   showOfflineSuccessMessage(quoteData) {
     const message = {
       type: 'info',
-      userMessage: `💾 Orçamento salvo! Será enviado quando conectar. Protocolo: ${quoteData.protocol_number}`
+      userMessage: `💾 Orçamento salvo! Será enviado quando conectar. Protocolo provisório: ${quoteData.protocol_number}`
     };
     
     if (window.errorHandler) {
@@ -381,7 +633,7 @@ class QuotesManager {
    */
   generateWhatsAppMessage(quoteData) {
     const services = quoteData.selected_services.map(s => 
-      `• ${s.name} (${s.quantity}x) - R$ ${s.total.toFixed(2).replace('.', ',')}`
+      `• ${s.name} (${s.quantity}x) - ${Money.format(s.total)}`
     ).join('\n');
 
     return `🎉 *Orçamento Buffet Sobral*
@@ -389,7 +641,7 @@ class QuotesManager {
 📋 *Protocolo:* ${quoteData.protocol_number}
 👤 *Cliente:* ${quoteData.client_name}
 📧 *Email:* ${quoteData.client_email}
-📱 *Telefone:* ${quoteData.client_phone}
+📱 *Telefone:* ${brDocuments.formatPhone(quoteData.client_phone)}${this.formatCompanyLine(quoteData)}
 
 🎊 *Detalhes do Evento:*
 • Tipo: ${quoteData.event_type}
@@ -398,11 +650,17 @@ class QuotesManager {
 🍽️ *Serviços Selecionados:*
 ${services}
 
-💰 *Total: R$ ${quoteData.total_amount.toFixed(2).replace('.', ',')}*
+💰 *Total: ${Money.format(quoteData.total_amount)}*
 
 Gostaria de confirmar este orçamento e agendar uma conversa! 😊`;
   }
 
+  // Linha de empresa na mensagem do WhatsApp (apenas pessoa jurídica)
+  formatCompanyLine(quoteData) {
+    if (quoteData.client_type !== 'pj') return '';
+    return `\n🏢 *Empresa:* ${quoteData.company_name} (CNPJ ${brDocuments.formatCNPJ(quoteData.client_document)})`;
+  }
+
   /**
    * Adiciona orçamento ao histórico
    * @param {Object} quoteData - Dados do orçamento
@@ -436,6 +694,10 @@ const quotesManager = new QuotesManager();
 // Exportar para uso global
 if (typeof window !== 'undefined') {
   window.quotesManager = quotesManager;
+
+  // Orçamentos salvos offline são enviados ao abrir a página e ao reconectar
+  window.addEventListener('online', () => quotesManager.syncPendingQuotes());
+  window.addEventListener('load', () => quotesManager.syncPendingQuotes());
 }
 
 console.log('✅ Quotes Manager inicializado');
\ No newline at end of file
@@ -0,0 +1,334 @@
+// Política de Retry com Classificação de Erros e Circuit Breaker
+//
+// Usada por SupabaseClient.withRetry e PerformanceOptimizer.withRetry.
+// Deve ser carregada antes de supabase.js e performance-optimizer.js.
+
+// Erro lançado quando o circuito de uma tabela está aberto
+class CircuitOpenError extends Error {
+  constructor(key, retryInMs) {
+    super(`Circuito aberto para '${key}'. Nova tentativa em ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.circuitKey = key;
+    this.retryInMs = retryInMs;
+  }
+}
+
+// Erro lançado quando uma atualização com versão esperada encontra a linha
+// alterada (ou excluída) por outra pessoa. Nunca é tentado novamente.
+class ConflictError extends Error {
+  constructor(table, id, expectedVersion, current = null) {
+    super(current
+      ? `Registro ${table}#${id} foi alterado por outra pessoa (versão ${expectedVersion} → ${current.version})`
+      : `Registro ${table}#${id} não existe mais`);
+    this.name = 'ConflictError';
+    this.code = 'CONFLICT';
+    this.table = table;
+    this.recordId = id;
+    this.expectedVersion = expectedVersion;
+    this.current = current;
+  }
+}
+
+// Circuit breaker por chave (tabela, bucket, endpoint)
+class CircuitBreaker {
+  constructor(key, options = {}) {
+    this.key = key;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000; // 30 segundos
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = false;
+  }
+
+  /**
+   * Verifica se uma requisição pode passar pelo circuito
+   * @returns {boolean} Se a requisição é permitida
+   */
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        return false;
+      }
+      this.transition('half-open');
+    }
+
+    // Em half-open apenas uma requisição de teste por vez
+    if (this.halfOpenInFlight) return false;
+    this.halfOpenInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.halfOpenInFlight = false;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.halfOpenInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Libera a vaga de teste do half-open sem contar sucesso nem falha
+   * (ex.: erro de validação, que não diz nada sobre a saúde do backend)
+   */
+  releaseTrial() {
+    this.halfOpenInFlight = false;
+  }
+
+  getRemainingOpenTime() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.resetTimeout - (Date.now() - this.openedAt));
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    console.warn(`🔌 Circuito '${this.key}': ${previous} → ${state}`);
+
+    if (typeof window !== 'undefined' && window.monitoringSystem) {
+      monitoringSystem.logCircuitState(this.key, state, {
+        previous,
+        failures: this.failures,
+        resetTimeout: this.resetTimeout
+      });
+    }
+  }
+
+  getStatus() {
+    return {
+      key: this.key,
+      state: this.state,
+      failures: this.failures,
+      retryInMs: this.getRemainingOpenTime()
+    };
+  }
+}
+
+class RetryPolicy {
+  constructor() {
+    this.config = {
+      baseDelay: 1000,
+      maxDelay: 10000,
+      backoffFactor: 2,
+      jitter: true,
+      maxRetryAfter: 60000 // Retry-After acima disso não é aguardado
+    };
+
+    this.breakerConfig = {
+      failureThreshold: 5,
+      resetTimeout: 30000
+    };
+
+    this.breakers = new Map();
+
+    // Códigos Postgres/PostgREST que nunca terão sucesso numa nova tentativa
+    this.nonRetryableCodes = {
+      auth: ['42501', 'PGRST301', 'PGRST302', 'invalid_jwt', 'unauthorized'],
+      validation: ['22P02', '22001', '22003', '22007', '23502', '23503', '23505', '23514', 'PGRST116', 'PGRST204']
+    };
+  }
+
+  /**
+   * Classifica um erro para decidir se vale tentar novamente
+   * @param {Error|Object} error - Erro capturado
+   * @returns {Object} { category, retryable, status, retryAfterMs }
+   */
+  classifyError(error) {
+    const status = this.getStatus(error);
+    const code = error && error.code ? String(error.code) : '';
+    const message = (error && error.message ? error.message : String(error)).toLowerCase();
+    const retryAfterMs = this.getRetryAfter(error);
+    const classify = (category, retryable) => ({ category, retryable, status, code, retryAfterMs });
+
+    if (code === 'CIRCUIT_OPEN') return classify('circuit_open', false);
+    if (code === 'CONFLICT') return classify('conflict', false);
+    if (error && (error.name === 'ValidationError' || error.type === 'validation')) return classify('validation', false);
+    if (this.nonRetryableCodes.auth.includes(code)) return classify('auth', false);
+    if (this.nonRetryableCodes.validation.includes(code) || /^2[23]/.test(code)) return classify('validation', false);
+
+    if (status === 429) return classify('rate_limit', true);
+    if (status === 408) return classify('timeout', true);
+    if (status === 401 || status === 403) return classify('auth', false);
+    if (status >= 400 && status < 500) return classify('client', false);
+    if (status >= 500) return classify('server', true);
+
+    if (message.includes('timeout')) return classify('timeout', true);
+    if (message.includes('fetch') || message.includes('network') || message.includes('conexão') || (error && error.name === 'TypeError' && message.includes('load'))) {
+      return classify('network', true);
+    }
+    if (message.includes('jwt') || message.includes('permission denied') || message.includes('unauthorized')) {
+      return classify('auth', false);
+    }
+
+    // Erros desconhecidos continuam sendo tentados novamente, como antes
+    return classify('unknown', true);
+  }
+
+  /**
+   * Decide se deve tentar de novo
+   * @param {Object} classification - Resultado de classifyError
+   * @param {number} attempt - Tentativa atual (1-based)
+   * @param {number} maxAttempts - Total de tentativas permitidas
+   * @returns {boolean} Se deve tentar novamente
+   */
+  shouldRetry(classification, attempt, maxAttempts) {
+    if (!classification.retryable || attempt >= maxAttempts) return false;
+    if (classification.retryAfterMs !== null && classification.retryAfterMs > this.config.maxRetryAfter) return false;
+    return true;
+  }
+
+  /**
+   * Calcula espera antes da próxima tentativa (Retry-After ou backoff com jitter)
+   * @param {number} attempt - Tentativa que falhou (1-based)
+   * @param {Object} classification - Resultado de classifyError
+   * @param {Object} overrides - baseDelay, maxDelay, backoffFactor
+   * @returns {number} Espera em ms
+   */
+  getDelay(attempt, classification = {}, overrides = {}) {
+    if (classification.retryAfterMs !== null && classification.retryAfterMs !== undefined) {
+      return classification.retryAfterMs;
+    }
+
+    const baseDelay = overrides.baseDelay || this.config.baseDelay;
+    const maxDelay = overrides.maxDelay || this.config.maxDelay;
+    const backoffFactor = overrides.backoffFactor || this.config.backoffFactor;
+    const delay = Math.min(baseDelay * Math.pow(backoffFactor, attempt - 1), maxDelay);
+
+    if (!this.config.jitter) return delay;
+
+    // Equal jitter: metade fixa + metade aleatória, evita rajadas sincronizadas
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Indica se o erro deve contar como falha do circuit breaker
+   * @param {Object} classification - Resultado de classifyError
+   * @returns {boolean} Se conta como falha de infraestrutura
+   */
+  countsAsFailure(classification) {
+    return ['network', 'timeout', 'server', 'rate_limit', 'unknown'].includes(classification.category);
+  }
+
+  getBreaker(key) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(key, this.breakerConfig));
+    }
+    return this.breakers.get(key);
+  }
+
+  getBreakerStatus() {
+    return [...this.breakers.values()].map(breaker => breaker.getStatus());
+  }
+
+  /**
+   * Converte resposta { error, status } do supabase-js em Error com metadados
+   * @param {Object} result - Resultado com erro
+   * @returns {Error} Erro enriquecido
+   */
+  toError(result) {
+    const source = result.error || {};
+    const error = new Error(`Supabase error: ${source.message || 'erro desconhecido'}`);
+    error.code = source.code;
+    error.details = source.details;
+    error.status = result.status || source.status || source.statusCode;
+    error.retryAfter = source.retry_after;
+    return error;
+  }
+
+  /**
+   * fetch para o createClient. O supabase-js não expõe os headers da resposta,
+   * mas usa o corpo JSON de um erro como objeto error: o Retry-After de
+   * respostas de erro vai para esse corpo como retry_after, lido por toError.
+   * @param {Function} fetchImpl - fetch original
+   * @returns {Function} fetch com o mesmo contrato
+   */
+  wrapFetch(fetchImpl = (...args) => fetch(...args)) {
+    return async (...args) => {
+      const response = await fetchImpl(...args);
+      const retryAfter = response.headers && response.headers.get('retry-after');
+      if (response.ok || !retryAfter) return response;
+
+      const body = await response.text();
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        payload = null;
+      }
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        payload = { message: body };
+      }
+
+      // O corpo já foi decodificado: tamanho e compressão originais não valem mais
+      const headers = new Headers(response.headers);
+      headers.set('content-type', 'application/json');
+      headers.delete('content-length');
+      headers.delete('content-encoding');
+
+      return new Response(JSON.stringify({ ...payload, retry_after: retryAfter }), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+      });
+    };
+  }
+
+  getStatus(error) {
+    if (!error) return null;
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+    const parsed = parseInt(status);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  /**
+   * Lê Retry-After (segundos ou data HTTP) do erro ou dos headers da resposta
+   * @param {Error|Object} error - Erro capturado
+   * @returns {number|null} Espera em ms ou null
+   */
+  getRetryAfter(error) {
+    if (!error) return null;
+
+    const headers = error.headers || (error.response && error.response.headers);
+    let value = error.retryAfter;
+    if (value === undefined && headers) {
+      value = typeof headers.get === 'function' ? headers.get('retry-after') : (headers['retry-after'] || headers['Retry-After']);
+    }
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+// Instância global da política de retry
+const retryPolicy = new RetryPolicy();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.retryPolicy = retryPolicy;
+  window.CircuitOpenError = CircuitOpenError;
+  window.ConflictError = ConflictError;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { retryPolicy, RetryPolicy, CircuitBreaker, CircuitOpenError, ConflictError };
+}
+
+console.log('✅ Retry Policy inicializada');
@@ -0,0 +1,268 @@
+// Validador de Esquemas - Validação declarativa usada por DataModels
+//
+// Um esquema descreve cada campo (tipo, obrigatoriedade, limites, regex,
+// regras customizadas, objetos e listas aninhados) e a validação devolve
+// erros estruturados { path, code, message, params }, com o caminho do campo
+// (ex.: 'selected_services[0].quantity') para exibição junto ao campo no formulário.
+//
+// Exemplo de esquema:
+//   {
+//     type: 'object',
+//     properties: {
+//       name: { type: 'string', label: 'Nome', required: true, maxLength: 255 },
+//       guest_count: { type: 'integer', label: 'Convidados', required: true, min: 1 },
+//       price: { type: 'money', label: 'Preço', exclusiveMin: 0 },
+//       tags: { type: 'array', items: { type: 'string' } }
+//     },
+//     rules: [{ code: 'custom', path: 'name', message: '...', test: (data) => true }]
+//   }
+
+class SchemaValidator {
+  constructor() {
+    // Mensagens padrão; {label} e os parâmetros da regra são substituídos
+    this.messages = {
+      required: '{label} é obrigatório',
+      type: {
+        string: '{label} deve ser um texto',
+        number: '{label} deve ser um número válido',
+        integer: '{label} deve ser um número inteiro',
+        money: '{label} deve ser um valor em reais válido',
+        boolean: '{label} deve ser verdadeiro ou falso',
+        date: '{label} deve ser uma data válida',
+        array: '{label} deve ser uma lista',
+        object: '{label} deve ser um objeto'
+      },
+      minLength: '{label} deve ter ao menos {minLength} caractere(s)',
+      maxLength: '{label} deve ter no máximo {maxLength} caracteres',
+      min: '{label} deve ser no mínimo {min}',
+      exclusiveMin: '{label} deve ser maior que {exclusiveMin}',
+      max: '{label} deve ser no máximo {max}',
+      pattern: '{label} está em formato inválido',
+      format: {
+        email: '{label} deve ser um e-mail válido',
+        url: '{label} deve ser uma URL válida'
+      },
+      enum: '{label} deve ser um destes valores: {enum}',
+      minItems: '{label} deve ter ao menos {minItems} item(ns)',
+      maxItems: '{label} deve ter no máximo {maxItems} item(ns)',
+      custom: '{label} é inválido'
+    };
+
+    this.formats = {
+      email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+      url: value => {
+        try {
+          new URL(value);
+          return true;
+        } catch {
+          return false;
+        }
+      }
+    };
+  }
+
+  /**
+   * Valida um valor contra um esquema
+   * @param {Object} schema - Esquema do valor
+   * @param {*} value - Valor a validar
+   * @returns {Object} { valid, errors: [{ path, code, message, params }] }
+   */
+  validate(schema, value) {
+    const errors = [];
+    this.validateNode(schema, value, '', value, errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Cria um esquema de objeto com campos sobrescritos (ex.: campo opcional no
+   * banco mas obrigatório num formulário)
+   * @param {Object} schema - Esquema de objeto base
+   * @param {Object} overrides - Mapa campo -> propriedades a sobrescrever
+   * @returns {Object} Novo esquema
+   */
+  extend(schema, overrides = {}) {
+    const properties = { ...schema.properties };
+    Object.entries(overrides).forEach(([field, override]) => {
+      properties[field] = { ...(properties[field] || {}), ...override };
+    });
+    return { ...schema, properties };
+  }
+
+  /**
+   * Agrupa erros pelo campo de primeiro nível
+   * @param {Array<Object>} errors - Erros devolvidos por validate
+   * @returns {Object} Mapa campo -> lista de mensagens
+   */
+  groupByField(errors) {
+    return errors.reduce((groups, error) => {
+      const field = error.path.split(/[.[]/)[0];
+      (groups[field] = groups[field] || []).push(error.message);
+      return groups;
+    }, {});
+  }
+
+  // Valida um nó; cada campo reporta apenas o primeiro erro encontrado
+  validateNode(schema, value, path, root, errors) {
+    if (this.isEmpty(value)) {
+      if (schema.required) {
+        this.addError(errors, schema, path, 'required');
+      }
+      return;
+    }
+
+    if (schema.type && !this.checkType(schema.type, value)) {
+      this.addError(errors, schema, path, 'type', { type: schema.type });
+      return;
+    }
+
+    const failure = this.checkConstraints(schema, value);
+    if (failure) {
+      this.addError(errors, schema, path, failure.code, failure.params);
+      return;
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        this.validateNode(schema.items, item, `${path}[${index}]`, root, errors);
+      });
+    }
+
+    if (schema.type === 'object' && schema.properties) {
+      Object.entries(schema.properties).forEach(([key, fieldSchema]) => {
+        this.validateNode(fieldSchema, value[key], path ? `${path}.${key}` : key, root, errors);
+      });
+    }
+
+    this.runRules(schema, value, path, root, errors);
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  }
+
+  // number/integer aceitam texto numérico, como vem dos campos de formulário;
+  // money aceita o mesmo que Money.parse ('45.9', 'R$ 1.234,56'), que é o
+  // valor gravado por DataModels.sanitizeMoney
+  checkType(type, value) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return Number.isFinite(this.toNumber(value));
+      case 'integer':
+        return Number.isInteger(this.toNumber(value));
+      case 'money':
+        return this.toMoney(value) !== null;
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'date':
+        return (typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value).getTime());
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      default:
+        throw new Error(`Tipo de esquema desconhecido: ${type}`);
+    }
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+  }
+
+  // Valor em reais lido como Money.parse, ou null se ilegível.
+  // money.js: global no navegador, require no servidor stub (Node)
+  toMoney(value) {
+    const MoneyClass = typeof Money !== 'undefined' ? Money : require('./money.js').Money;
+    const money = MoneyClass.parse(value);
+    return money ? money.toReais() : null;
+  }
+
+  /**
+   * Verifica limites, regex, formato e valores permitidos
+   * @returns {Object|null} { code, params } da primeira restrição violada
+   */
+  checkConstraints(schema, value) {
+    if (schema.type === 'string') {
+      const length = value.trim().length;
+      if (schema.minLength !== undefined && length < schema.minLength) return { code: 'minLength', params: { minLength: schema.minLength } };
+      if (schema.maxLength !== undefined && length > schema.maxLength) return { code: 'maxLength', params: { maxLength: schema.maxLength } };
+      if (schema.pattern && !schema.pattern.test(value)) return { code: 'pattern', params: { pattern: String(schema.pattern) } };
+      if (schema.format) {
+        const check = this.formats[schema.format];
+        if (!check) throw new Error(`Formato de esquema desconhecido: ${schema.format}`);
+        if (!check(value.trim())) return { code: 'format', params: { format: schema.format } };
+      }
+    }
+
+    if (schema.type === 'number' || schema.type === 'integer' || schema.type === 'money') {
+      const number = schema.type === 'money' ? this.toMoney(value) : this.toNumber(value);
+      if (schema.min !== undefined && number < schema.min) return { code: 'min', params: { min: schema.min } };
+      if (schema.exclusiveMin !== undefined && number <= schema.exclusiveMin) return { code: 'exclusiveMin', params: { exclusiveMin: schema.exclusiveMin } };
+      if (schema.max !== undefined && number > schema.max) return { code: 'max', params: { max: schema.max } };
+    }
+
+    if (schema.type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) return { code: 'minItems', params: { minItems: schema.minItems } };
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return { code: 'maxItems', params: { maxItems: schema.maxItems } };
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return { code: 'enum', params: { enum: schema.enum.join(', ') } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Regras customizadas: { code, message, test(value, context), path? }.
+   * Em objetos, path aponta o campo que recebe o erro (validações entre campos).
+   */
+  runRules(schema, value, path, root, errors) {
+    (schema.rules || []).forEach(rule => {
+      if (rule.test(value, { root, path })) return;
+
+      const target = rule.path ? (path ? `${path}.${rule.path}` : rule.path) : path;
+      const fieldSchema = rule.path && schema.properties ? schema.properties[rule.path] || {} : schema;
+      if (errors.some(error => error.path === target)) return;
+
+      errors.push({
+        path: target,
+        code: rule.code || 'custom',
+        message: this.formatMessage(rule.message || this.messages.custom, fieldSchema, target, rule.params),
+        params: rule.params || {}
+      });
+    });
+  }
+
+  addError(errors, schema, path, code, params = {}) {
+    const custom = schema.messages && schema.messages[code];
+    let template = custom || this.messages[code];
+    if (template && typeof template === 'object') {
+      template = template[params.type || params.format];
+    }
+
+    errors.push({ path, code, message: this.formatMessage(template || this.messages.custom, schema, path, params), params });
+  }
+
+  formatMessage(template, schema, path, params = {}) {
+    const values = { label: schema.label || path || 'Valor', ...params };
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+  }
+}
+
+// Instância global do validador
+const schemaValidator = new SchemaValidator();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.schemaValidator = schemaValidator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { schemaValidator, SchemaValidator };
+}
+
+console.log('✅ Schema Validator inicializado');
@@ -0,0 +1,58 @@
+// Gera supabase/seed.sql a partir dos dados de fallback dos managers
+//
+// Uso: node scripts/generate-seed.js (ou npm run db:seed)
+// O Supabase CLI aplica supabase/seed.sql após as migrations em `supabase db reset`.
+
+const fs = require('fs');
+const path = require('path');
+const { loadFallbackSeed } = require('./load-fallback-data');
+
+const root = path.join(__dirname, '..');
+
+// Colunas de cada tabela na ordem das migrations
+const tableColumns = {
+  services: ['name', 'description', 'price_per_person', 'category', 'image_url', 'active'],
+  packages: ['name', 'description', 'price_per_person', 'event_type', 'services', 'active'],
+  space_photos: ['title', 'description', 'image_url', 'category', 'active'],
+  featured_videos: ['title', 'description', 'video_url', 'thumbnail_url', 'active']
+};
+
+function toSqlLiteral(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  if (Array.isArray(value) || typeof value === 'object') {
+    return `${toSqlLiteral(JSON.stringify(value))}::jsonb`;
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function buildInsert(table, rows) {
+  const columns = tableColumns[table];
+  const values = rows.map(row => `  (${columns.map(column => toSqlLiteral(row[column])).join(', ')})`);
+
+  // Só popula tabelas vazias para o seed poder ser reaplicado sem duplicar
+  return [
+    `insert into public.${table} (${columns.join(', ')})`,
+    `select * from (values`,
+    values.join(',\n'),
+    `) as seed (${columns.join(', ')})`,
+    `where not exists (select 1 from public.${table});`
+  ].join('\n');
+}
+
+const seed = loadFallbackSeed();
+const statements = Object.keys(tableColumns)
+  .filter(table => Array.isArray(seed[table]) && seed[table].length > 0)
+  .map(table => `-- ${table}\n${buildInsert(table, seed[table])}`);
+
+const output = [
+  '-- Gerado por scripts/generate-seed.js a partir dos dados de fallback dos managers.',
+  '-- Não edite manualmente: altere os getFallback*() e rode `npm run db:seed`.',
+  '',
+  statements.join('\n\n'),
+  ''
+].join('\n');
+
+const target = path.join(root, 'supabase', 'seed.sql');
+fs.writeFileSync(target, output);
+process.stdout.write(`seed.sql gerado com ${statements.length} tabela(s): ${path.relative(root, target)}\n`);
@@ -0,0 +1,43 @@
+// Carrega os dados de fallback dos managers fora do navegador
+//
+// Os managers são scripts de navegador (sem module.exports): são executados no
+// contexto global com um window mínimo e os dados são convertidos em linhas
+// de tabela por LocalBackends.getLocalSeedData.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const managerFiles = ['services-manager.js', 'packages-manager.js', 'gallery-manager.js', 'videos-manager.js'];
+
+let cachedSeed = null;
+
+/**
+ * Retorna o mapa tabela -> linhas com os dados de fallback dos managers
+ * @returns {Object} Dados iniciais por tabela
+ */
+function loadFallbackSeed() {
+  if (cachedSeed) return cachedSeed;
+
+  if (typeof global.window === 'undefined') {
+    global.window = global;
+  }
+
+  // Silencia os logs de inicialização dos scripts de navegador
+  const log = console.log;
+  console.log = () => {};
+  try {
+    managerFiles.forEach(file => {
+      vm.runInThisContext(fs.readFileSync(path.join(root, file), 'utf8'), { filename: file });
+    });
+    const { getLocalSeedData } = require(path.join(root, 'local-backends.js'));
+    cachedSeed = getLocalSeedData();
+  } finally {
+    console.log = log;
+  }
+
+  return cachedSeed;
+}
+
+module.exports = { loadFallbackSeed };
@@ -0,0 +1,551 @@
+// Servidor local compatível com o subconjunto do Supabase usado pelo SupabaseClient
+//
+// Emula a API REST do PostgREST (select, filtros, order, limit/offset, insert,
+// upsert, update, delete, funções via /rpc) e os endpoints de storage (upload, URL pública,
+// remoção e listagem), com dados persistidos em arquivos JSON. Também serve o
+// site (mesmas rotas do vercel.json) já apontando window.SUPABASE_URL para si.
+//
+// Uso: npm run stub  (PORT=54321 e STUB_DATA_DIR=.stub-data por padrão)
+// Depois abra http://localhost:54321 e http://localhost:54321/admin
+//
+// As consultas são executadas pelo LocalQueryBuilder de local-backends.js, o
+// mesmo motor dos backends offline do navegador. Tabelas vazias são semeadas
+// com os dados de fallback dos managers. Realtime (WebSocket) não é emulado.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { loadFallbackSeed } = require('./load-fallback-data');
+
+const root = path.join(__dirname, '..');
+const port = parseInt(process.env.PORT) || 54321;
+const dataDir = path.resolve(root, process.env.STUB_DATA_DIR || '.stub-data');
+const publicUrl = process.env.STUB_PUBLIC_URL || `http://localhost:${port}`;
+
+const LocalBackends = require(path.join(root, 'local-backends.js'));
+const { MemoryBackend, LocalQueryBuilder } = LocalBackends;
+
+// Parâmetros de query que não são filtros de coluna
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+};
+
+class StubError extends Error {
+  constructor(status, message, code = 'PGRST100') {
+    super(message);
+    this.name = 'StubError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Backend que persiste cada tabela em <dataDir>/<tabela>.json e arquivos em <dataDir>/storage
+class JsonFileBackend extends MemoryBackend {
+  constructor(options = {}) {
+    super();
+    this.name = 'jsonFile';
+    this.dataDir = options.dataDir;
+    this.publicUrl = options.publicUrl;
+    this.storageDir = path.join(this.dataDir, 'storage');
+  }
+
+  async init() {
+    fs.mkdirSync(this.storageDir, { recursive: true });
+    this.seeded = new Set(this.readJson('_meta.json', { seeded: [] }).seeded);
+    return this;
+  }
+
+  // Lido do disco a cada consulta: edições manuais nos JSON valem na hora
+  async getRows(table) {
+    return this.readJson(`${this.checkTable(table)}.json`, []);
+  }
+
+  async setRows(table, rows) {
+    this.writeJson(`${this.checkTable(table)}.json`, rows);
+  }
+
+  async markSeeded(table) {
+    this.seeded.add(table);
+    this.writeJson('_meta.json', { seeded: [...this.seeded] });
+  }
+
+  async putFile(bucket, filePath, file) {
+    const target = this.resolveFile(bucket, filePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file);
+    return { path: filePath };
+  }
+
+  getFileUrl(bucket, filePath) {
+    return `${this.publicUrl}/storage/v1/object/public/${bucket}/${filePath}`;
+  }
+
+  hasFile(bucket, filePath) {
+    return fs.existsSync(this.resolveFile(bucket, filePath));
+  }
+
+  readFile(bucket, filePath) {
+    const target = this.resolveFile(bucket, filePath);
+    return fs.existsSync(target) ? fs.readFileSync(target) : null;
+  }
+
+  async removeFiles(bucket, paths) {
+    const removed = [];
+    for (const filePath of paths) {
+      const target = this.resolveFile(bucket, filePath);
+      if (fs.existsSync(target)) {
+        fs.unlinkSync(target);
+        removed.push({ name: filePath, bucket_id: bucket });
+      }
+    }
+    return removed;
+  }
+
+  async listFiles(bucket, prefix = '') {
+    const bucketDir = path.join(this.storageDir, this.checkBucket(bucket));
+    if (!fs.existsSync(bucketDir)) return [];
+
+    const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(full) : [path.relative(bucketDir, full).split(path.sep).join('/')];
+    });
+
+    return walk(bucketDir)
+      .filter(name => name.startsWith(prefix))
+      .map(name => {
+        const stats = fs.statSync(path.join(bucketDir, name));
+        return {
+          name: prefix ? name.substring(prefix.replace(/\/?$/, '/').length) : name,
+          id: name,
+          updated_at: stats.mtime.toISOString(),
+          created_at: stats.birthtime.toISOString(),
+          metadata: { size: stats.size, mimetype: getMimeType(name) }
+        };
+      });
+  }
+
+  resolveFile(bucket, filePath) {
+    const base = path.join(this.storageDir, this.checkBucket(bucket));
+    const target = path.resolve(base, filePath);
+    if (!target.startsWith(base + path.sep)) {
+      throw new StubError(400, `Caminho de arquivo inválido: ${bucket}/${filePath}`);
+    }
+    return target;
+  }
+
+  checkBucket(bucket) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(bucket || '')) {
+      throw new StubError(400, `Bucket inválido: ${bucket}`);
+    }
+    return bucket;
+  }
+
+  checkTable(table) {
+    if (!/^[a-z][a-z0-9_]*$/.test(table)) {
+      throw new StubError(404, `Tabela inválida: ${table}`, 'PGRST205');
+    }
+    return table;
+  }
+
+  readJson(file, fallback) {
+    const target = path.join(this.dataDir, file);
+    if (!fs.existsSync(target)) return fallback;
+    return JSON.parse(fs.readFileSync(target, 'utf8'));
+  }
+
+  writeJson(file, value) {
+    const target = path.join(this.dataDir, file);
+    const temp = `${target}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(value, null, 2));
+    fs.renameSync(temp, target);
+  }
+}
+
+function getMimeType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+// Conversão da query string PostgREST para chamadas do LocalQueryBuilder
+function parseFilter(column, raw) {
+  const match = raw.match(/^(not\.)?(\w+)\.([\s\S]*)$/);
+  if (!match) {
+    throw new StubError(400, `Filtro inválido para '${column}': ${raw}`);
+  }
+
+  const [, negated, operator, value] = match;
+  const filter = { column, operator, negated: Boolean(negated) };
+
+  if (operator === 'in') {
+    const list = value.replace(/^\(|\)$/g, '').match(/("([^"]*)"|[^,]+)/g) || [];
+    return { ...filter, value: list.map(item => LocalQueryBuilder.parseFilterValue(item.replace(/^"|"$/g, ''))) };
+  }
+  if (operator === 'like' || operator === 'ilike') {
+    return { ...filter, value: value.replace(/\*/g, '%') };
+  }
+  return { ...filter, value: LocalQueryBuilder.parseFilterValue(value) };
+}
+
+function applyFilters(query, params) {
+  for (const [key, raw] of params) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+
+    if (key === 'or' || key === 'and') {
+      const conditions = LocalQueryBuilder.parseLogicalExpression(raw.replace(/^\(|\)$/g, ''));
+      query.filters.push({ operator: key, conditions });
+      continue;
+    }
+
+    const filter = parseFilter(key, raw);
+    if (filter.negated) {
+      query.not(filter.column, filter.operator, filter.value);
+    } else {
+      query.addFilter(filter.column, filter.operator, filter.value);
+    }
+  }
+  return query;
+}
+
+function applyModifiers(query, params) {
+  const order = params.get('order');
+  if (order) {
+    order.split(',').forEach(part => {
+      const [column, direction] = part.split('.');
+      query.order(column, { ascending: direction !== 'desc' });
+    });
+  }
+
+  const limit = params.has('limit') ? parseInt(params.get('limit')) : null;
+  const offset = params.has('offset') ? parseInt(params.get('offset')) : null;
+
+  if (offset !== null) {
+    query.range(offset, limit !== null ? offset + limit - 1 : Number.MAX_SAFE_INTEGER);
+  } else if (limit !== null) {
+    query.limit(limit);
+  }
+
+  return query;
+}
+
+function parsePrefer(header = '') {
+  return Object.fromEntries(header.split(',').map(part => part.trim().split('=')).filter(([key]) => key));
+}
+
+/**
+ * Executa uma requisição /rest/v1/<tabela>
+ * @returns {Promise<Object>} { status, body, headers }
+ */
+async function handleRest(client, req, table, params, body) {
+  const prefer = parsePrefer(req.headers.prefer);
+  const wantsObject = (req.headers.accept || '').includes('vnd.pgrst.object');
+  const select = params.get('select') || '*';
+  const countMode = prefer.count || null;
+
+  await client.ensureSeeded(client.backend.checkTable(table));
+  let query = client.from(table);
+
+  switch (req.method) {
+    case 'GET':
+    case 'HEAD':
+      query.select(select, { count: countMode, head: req.method === 'HEAD' });
+      break;
+    case 'POST':
+      if (prefer.resolution === 'merge-duplicates') {
+        query.upsert(body, { onConflict: params.get('on_conflict') || 'id' });
+      } else {
+        query.insert(body);
+      }
+      break;
+    case 'PATCH':
+      query.update(body);
+      break;
+    case 'DELETE':
+      query.delete();
+      break;
+    default:
+      throw new StubError(405, `Método não suportado: ${req.method}`);
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD' && prefer.return === 'representation') {
+    query.select(select);
+  }
+
+  applyModifiers(applyFilters(query, params), params);
+  if (wantsObject) query.single();
+
+  const result = await query;
+  if (result.error) {
+    throw new StubError(406, result.error.message, result.error.code);
+  }
+
+  const headers = {};
+  if (Array.isArray(result.data) || result.count !== null) {
+    const from = query.rangeFrom || 0;
+    const size = Array.isArray(result.data) ? result.data.length : 0;
+    const range = size > 0 ? `${from}-${from + size - 1}` : '*';
+    headers['Content-Range'] = `${range}/${result.count !== null ? result.count : '*'}`;
+  }
+
+  const isMutation = req.method !== 'GET' && req.method !== 'HEAD';
+  const status = req.method === 'POST' ? 201 : (isMutation && result.data === null ? 204 : 200);
+  return { status, body: result.data, headers };
+}
+
+/**
+ * Executa uma requisição /rest/v1/rpc/<função> com as funções emuladas pelo
+ * LocalSupabaseClient (ex.: allocate_protocol_number)
+ * @returns {Promise<Object>} { status, body }
+ */
+async function handleRpc(client, req, name, body) {
+  if (req.method !== 'POST') {
+    throw new StubError(405, `Método não suportado: ${req.method}`);
+  }
+
+  const result = await client.rpc(name, body || {});
+  if (result.error) {
+    throw new StubError(404, result.error.message, 'PGRST202');
+  }
+  return { status: 200, body: result.data };
+}
+
+/**
+ * Extrai o arquivo de um corpo multipart/form-data (formato enviado pelo storage-js)
+ * @param {Buffer} buffer - Corpo da requisição
+ * @param {string} contentType - Header Content-Type
+ * @returns {Buffer} Conteúdo do arquivo
+ */
+function extractMultipartFile(buffer, contentType) {
+  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+  if (!boundaryMatch) throw new StubError(400, 'Boundary multipart ausente');
+
+  const boundary = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  let start = buffer.indexOf(boundary);
+
+  while (start !== -1) {
+    const next = buffer.indexOf(boundary, start + boundary.length);
+    if (next === -1) break;
+
+    const part = buffer.subarray(start + boundary.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const partHeaders = part.subarray(0, headerEnd).toString();
+
+    // storage-js envia o arquivo com name="" e o cacheControl como campo separado
+    if (/filename=|name=""/.test(partHeaders)) {
+      return part.subarray(headerEnd + 4);
+    }
+    start = next;
+  }
+
+  throw new StubError(400, 'Arquivo não encontrado no corpo multipart');
+}
+
+/**
+ * Executa uma requisição /storage/v1/object/...
+ *   GET  public/<bucket>/<caminho>  -> conteúdo do arquivo (URL pública)
+ *   POST list/<bucket>              -> listagem { prefix }
+ *   DELETE <bucket>                 -> remoção { prefixes: [...] }
+ *   POST|PUT <bucket>/<caminho>     -> upload (PUT ou x-upsert substitui)
+ */
+async function handleStorage(client, req, segments, rawBody) {
+  const backend = client.backend;
+  const decodePath = (parts) => parts.map(decodeURIComponent).join('/');
+  const readJsonBody = () => JSON.parse(rawBody.toString() || '{}');
+
+  if (segments[0] === 'public' && req.method === 'GET') {
+    const filePath = decodePath(segments.slice(2));
+    const file = backend.readFile(segments[1], filePath);
+    if (!file) throw new StubError(404, 'Object not found', 'not_found');
+    return { status: 200, raw: file, headers: { 'Content-Type': getMimeType(filePath) } };
+  }
+
+  if (segments[0] === 'list' && req.method === 'POST') {
+    return { status: 200, body: await backend.listFiles(segments[1], readJsonBody().prefix || '') };
+  }
+
+  if (segments.length === 1 && req.method === 'DELETE') {
+    return { status: 200, body: await backend.removeFiles(segments[0], readJsonBody().prefixes || []) };
+  }
+
+  if (segments.length >= 2 && (req.method === 'POST' || req.method === 'PUT')) {
+    const [bucket, ...rest] = segments;
+    const filePath = decodePath(rest);
+    const upsert = req.method === 'PUT' || req.headers['x-upsert'] === 'true';
+
+    if (!upsert && backend.hasFile(bucket, filePath)) {
+      throw new StubError(409, 'The resource already exists', 'Duplicate');
+    }
+
+    const contentType = req.headers['content-type'] || '';
+    const file = contentType.startsWith('multipart/form-data') ? extractMultipartFile(rawBody, contentType) : rawBody;
+    await backend.putFile(bucket, filePath, file);
+
+    return { status: 200, body: { Key: `${bucket}/${filePath}`, Id: crypto.randomUUID() } };
+  }
+
+  throw new StubError(404, `Rota de storage não suportada: ${req.method} ${segments.join('/')}`);
+}
+
+// Site estático com as mesmas rotas do vercel.json e configuração injetada
+function resolveStaticFile(pathname) {
+  if (pathname === '/') return path.join(root, 'public', 'index.html');
+  if (pathname === '/admin' || pathname === '/admin.html') return path.join(root, 'public', 'admin.html');
+  if (/^\/[a-z-]+\.js$/.test(pathname)) return path.join(root, pathname);
+
+  const target = path.resolve(root, 'public', `.${pathname}`);
+  return target.startsWith(path.join(root, 'public') + path.sep) ? target : null;
+}
+
+function resolveSupabaseBundle() {
+  try {
+    return require.resolve('@supabase/supabase-js/dist/umd/supabase.js', { paths: [root] });
+  } catch (error) {
+    return null;
+  }
+}
+
+function getStubConfigScript() {
+  return [
+    '// Configuração injetada pelo stub local',
+    `window.SUPABASE_URL = window.SUPABASE_URL || ${JSON.stringify(publicUrl)};`,
+    "window.SUPABASE_ANON_KEY = window.SUPABASE_ANON_KEY || 'stub-anon-key';",
+    'window.SUPABASE_REALTIME = false;',
+    ''
+  ].join('\n');
+}
+
+function serveStatic(pathname) {
+  if (pathname === '/__stub/config.js') {
+    return { status: 200, raw: getStubConfigScript(), headers: { 'Content-Type': MIME_TYPES['.js'] } };
+  }
+
+  if (pathname === '/__stub/supabase-js.js') {
+    const bundle = resolveSupabaseBundle();
+    if (!bundle) throw new StubError(404, '@supabase/supabase-js não instalado (rode npm install)');
+    return { status: 200, raw: fs.readFileSync(bundle), headers: { 'Content-Type': MIME_TYPES['.js'] } };
+  }
+
+  const file = resolveStaticFile(pathname);
+  if (!file || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new StubError(404, `Arquivo não encontrado: ${pathname}`);
+  }
+
+  let content = fs.readFileSync(file);
+  if (path.extname(file) === '.html') {
+    // Cliente supabase-js local (sem CDN) + URL do stub antes de qualquer script da página
+    const scripts = [
+      resolveSupabaseBundle() ? '<script src="/__stub/supabase-js.js"></script>' : '',
+      '<script src="/__stub/config.js"></script>'
+    ].join('');
+    content = content.toString().replace(/<head>/i, match => `${match}${scripts}`);
+  }
+
+  return { status: 200, raw: content, headers: { 'Content-Type': getMimeType(file) } };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, { status, body, raw, headers = {} }) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'Content-Range',
+    ...(raw === undefined && body !== undefined && body !== null ? { 'Content-Type': 'application/json; charset=utf-8' } : {}),
+    ...headers
+  });
+
+  if (raw !== undefined) {
+    res.end(raw);
+  } else if (body !== undefined && body !== null && status !== 204) {
+    res.end(JSON.stringify(body));
+  } else {
+    res.end();
+  }
+}
+
+async function handleRequest(client, req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+      'Access-Control-Max-Age': '86400'
+    });
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, publicUrl);
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  try {
+    const rawBody = await readBody(req);
+    let response;
+
+    if (segments[0] === 'rest' && segments[1] === 'v1' && segments[2] === 'rpc' && segments[3]) {
+      const body = rawBody.length > 0 ? JSON.parse(rawBody.toString()) : null;
+      response = await handleRpc(client, req, decodeURIComponent(segments[3]), body);
+    } else if (segments[0] === 'rest' && segments[1] === 'v1' && segments[2]) {
+      const body = rawBody.length > 0 ? JSON.parse(rawBody.toString()) : null;
+      response = await handleRest(client, req, decodeURIComponent(segments[2]), url.searchParams, body);
+    } else if (segments[0] === 'storage' && segments[1] === 'v1' && segments[2] === 'object') {
+      response = await handleStorage(client, req, segments.slice(3), rawBody);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      response = serveStatic(decodeURIComponent(url.pathname));
+    } else {
+      throw new StubError(404, `Rota não encontrada: ${url.pathname}`);
+    }
+
+    send(res, response);
+    console.log(`${req.method} ${url.pathname}${url.search} → ${response.status}`);
+  } catch (error) {
+    const status = error.status || (error instanceof SyntaxError ? 400 : 500);
+    send(res, {
+      status,
+      body: { code: error.code || 'PGRST000', message: error.message, details: null, hint: null, statusCode: String(status), error: error.code }
+    });
+    console.warn(`${req.method} ${url.pathname}${url.search} → ${status}: ${error.message}`);
+  }
+}
+
+async function startStubServer() {
+  LocalBackends.registerBackend('jsonFile', JsonFileBackend);
+  const client = await LocalBackends.createLocalClient('jsonFile', {
+    dataDir,
+    publicUrl,
+    seedProvider: loadFallbackSeed
+  });
+
+  const server = http.createServer((req, res) => handleRequest(client, req, res));
+  server.listen(port, () => {
+    console.log(`🧪 Stub Supabase em ${publicUrl} (dados em ${dataDir})`);
+    console.log(`   Site: ${publicUrl}/  Admin: ${publicUrl}/admin`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  startStubServer().catch(error => {
+    console.error('❌ Falha ao iniciar o stub:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startStubServer, JsonFileBackend };
@@ -5,6 +5,7 @@ class ServicesManager {
     this.isLoading = false;
     this.lastLoadTime = null;
     this.fallbackServices = this.getFallbackServices();
+    this.unsubscribeRealtime = null;
   }
 
   /**
@@ -23,6 +24,7 @@ class ServicesManager {
     
     // Verificar cache primeiro
     if (useCache) {
+      await cacheManager.ready; // entradas salvas em visitas anteriores
       const cacheKey = cacheManager.generateKey('services', { category });
       const cached = cacheManager.get(cacheKey);
       if (cached) {
@@ -32,12 +34,17 @@ class ServicesManager {
       }
     }
 
-    // Evitar múltiplas requisições simultâneas
-    if (this.isLoading) {
-      console.log('⏳ Carregamento já em andamento...');
-      return this.services;
-    }
+    // Chamadas simultâneas esperam a mesma requisição e recebem o mesmo resultado
+    const cacheKey = cacheManager.generateKey('services', { category });
+    return await cacheManager.dedupe(cacheKey, () => this.fetchServices(category));
+  }
 
+  /**
+   * Busca os serviços no Supabase, com fallback local, e guarda no cache
+   * @param {string} category - Categoria opcional para filtrar
+   * @returns {Promise<Array>} Lista de serviços
+   */
+  async fetchServices(category = null) {
     this.isLoading = true;
     this.showLoadingState();
 
@@ -51,7 +58,7 @@ class ServicesManager {
         
         // Salvar no cache
         const cacheKey = cacheManager.generateKey('services', { category });
-        cacheManager.set(cacheKey, this.services);
+        cacheManager.set(cacheKey, this.services, undefined, { priority: 'high', tags: ['table:services'] });
         
         console.log(`✅ ${this.services.length} serviços carregados do Supabase`);
         this.renderServices();
@@ -173,7 +180,7 @@ class ServicesManager {
         <h3 class="service-title">${service.name}</h3>
         <p>${service.description || 'Serviço de qualidade para sua festa'}</p>
         <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 15px;">
-          <span class="service-price">R$ ${service.price_per_person.toFixed(2).replace('.', ',')}/pessoa</span>
+          <span class="service-price">${Money.format(service.price_per_person)}/pessoa</span>
           <button class="btn-add" onclick="addService('${service.name}', ${service.price_per_person}, 'pessoa')">Adicionar</button>
         </div>
       </div>
@@ -287,10 +294,38 @@ class ServicesManager {
    */
   async refreshServices() {
     console.log('🔄 Forçando atualização de serviços...');
-    cacheManager.invalidate('services');
+    cacheManager.invalidateByTag('table:services');
     return await this.loadServices(null, false);
   }
 
+  /**
+   * Assina mudanças da tabela de serviços para atualizar a vitrine em tempo real
+   */
+  enableRealtime() {
+    if (this.unsubscribeRealtime || !window.supabaseClient) return;
+    this.unsubscribeRealtime = supabaseClient.subscribe('services', (change) => this.handleRealtimeChange(change));
+  }
+
+  /**
+   * Recarrega e re-renderiza os serviços no lugar após mudança remota
+   * @param {Object} change - Evento de mudança { eventType, new, old }
+   */
+  async handleRealtimeChange(change) {
+    console.log(`📡 Serviços alterados (${change.eventType}), atualizando...`);
+
+    const result = await this.loadFromSupabase();
+    if (!result.success) {
+      console.warn('⚠️ Falha ao atualizar serviços em tempo real:', result.error);
+      return;
+    }
+
+    this.services = result.data;
+    this.lastLoadTime = Date.now();
+    // subscribe() já invalidou table:services, inclusive as listas por categoria
+    cacheManager.set(cacheManager.generateKey('services', { category: null }), this.services, undefined, { priority: 'high', tags: ['table:services'] });
+    this.renderServices();
+  }
+
   /**
    * Retorna estatísticas dos serviços
    * @returns {Object} Estatísticas
@@ -314,6 +349,9 @@ const servicesManager = new ServicesManager();
 // Exportar para uso global
 if (typeof window !== 'undefined') {
   window.servicesManager = servicesManager;
+
+  // Atualizações em tempo real
+  servicesManager.enableRealtime();
 }
 
 console.log('✅ Services Manager inicializado');
\ No newline at end of file
@@ -5,6 +5,11 @@
 const supabaseUrl = window.SUPABASE_URL || 'YOUR_SUPABASE_PROJECT_URL';
 const supabaseKey = window.SUPABASE_ANON_KEY || 'YOUR_SUPABASE_ANON_KEY';
 
+// Backend de dados: 'supabase' (padrão) ou um backend local de local-backends.js
+// ('memory', 'localStorage', 'indexedDB'). Se o Supabase falhar, usa SUPABASE_FALLBACK_BACKEND.
+const backendType = window.SUPABASE_BACKEND || 'supabase';
+const fallbackBackendType = window.SUPABASE_FALLBACK_BACKEND || 'localStorage';
+
 // Validação de variáveis de ambiente
 function validateEnvironment() {
   const errors = [];
@@ -26,17 +31,36 @@ function validateEnvironment() {
   return true;
 }
 
+// Função para carregar backend local (offline)
+async function loadLocalBackend(type) {
+  if (!window.LocalBackends) {
+    throw new Error('local-backends.js não carregado');
+  }
+  return await LocalBackends.createLocalClient(type);
+}
+
 // Função para carregar Supabase dinamicamente
 async function loadSupabase() {
+  if (backendType !== 'supabase') {
+    return await loadLocalBackend(backendType);
+  }
+
   try {
-    // Carregar Supabase via CDN
-    const { createClient } = await import('https://cdn.skypack.dev/@supabase/supabase-js');
+    // Usa o supabase-js já carregado como script (ex.: servido pelo stub local, sem rede)
+    // ou carrega via CDN
+    const { createClient } = window.supabase && window.supabase.createClient
+      ? window.supabase
+      : await import('https://cdn.skypack.dev/@supabase/supabase-js');
     
     if (validateEnvironment()) {
       return createClient(supabaseUrl, supabaseKey, {
         auth: {
           persistSession: true,
           autoRefreshToken: true
+        },
+        // Retry-After de 429/503 chega ao retryPolicy pelo corpo do erro
+        global: {
+          fetch: retryPolicy.wrapFetch()
         }
       });
     } else {
@@ -44,24 +68,9 @@ async function loadSupabase() {
     }
   } catch (error) {
     console.error('Falha ao carregar Supabase:', error);
-    // Cliente mock para desenvolvimento
-    return {
-      from: () => ({ 
-        select: () => Promise.resolve({ data: [], error: null }),
-        insert: () => Promise.resolve({ data: [], error: null }),
-        update: () => Promise.resolve({ data: [], error: null }),
-        delete: () => Promise.resolve({ data: [], error: null }),
-        eq: function() { return this; },
-        order: function() { return this; }
-      }),
-      storage: { 
-        from: () => ({ 
-          upload: () => Promise.resolve({ error: null }),
-          getPublicUrl: () => ({ data: { publicUrl: '' } }),
-          remove: () => Promise.resolve({ error: null })
-        }) 
-      }
-    };
+    // Backend local para desenvolvimento e modo offline
+    console.warn(`⚠️ Usando backend local '${fallbackBackendType}'`);
+    return await loadLocalBackend(fallbackBackendType);
   }
 }
 
@@ -74,52 +83,263 @@ class SupabaseClient {
     this.cache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutos
     this.initialized = false;
+    this.subscriptions = new Set();
+    this.subscriptionCounter = 0;
+    this.realtimePollInterval = 5000; // polling do backend local
+    this.trashTables = ['services', 'packages', 'space_photos', 'featured_videos']; // tabelas com lixeira (deleted_at)
+    this.initPromise = null;
+    this.venueStorageKey = 'buffetVenue';
+    this.venues = [];
+    // Última escolha do visitante, para escopar consultas antes do init
+    this.venue = this.loadStoredVenue();
+    this.syncCacheScope();
   }
 
+  // O salão é resolvido antes de qualquer consulta, que já sai com escopo
   async init() {
-    if (!this.initialized) {
-      this.client = await loadSupabase();
-      this.initialized = true;
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        this.client = await loadSupabase();
+        await this.resolveVenue();
+        this.initialized = true;
+        return this.client;
+      })().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
     }
-    return this.client;
+    return await this.initPromise;
   }
 
-  // Método de retry com backoff exponencial
-  async withRetry(operation, context = 'operação') {
+  // Indica se o cliente ativo é um backend local (offline)
+  isLocalBackend() {
+    return Boolean(this.client && this.client.isLocal);
+  }
+
+  /**
+   * Executa operação com retry guiado pela política de erros e circuit breaker
+   * @param {Function} operation - Operação que retorna { data, error }
+   * @param {string} context - Descrição para logs
+   * @param {string} circuitKey - Tabela/bucket para o circuit breaker
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async withRetry(operation, context = 'operação', circuitKey = null) {
     await this.init();
+
+    const breaker = circuitKey ? retryPolicy.getBreaker(circuitKey) : null;
+    if (breaker && !breaker.canRequest()) {
+      throw new CircuitOpenError(circuitKey, breaker.getRemainingOpenTime());
+    }
+
     let lastError;
+    let classification;
+    let attempt;
     
-    for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+    for (attempt = 1; attempt <= this.retryCount; attempt++) {
       try {
         const result = await operation();
         
         if (result.error) {
-          throw new Error(`Supabase error: ${result.error.message}`);
+          throw retryPolicy.toError(result);
         }
         
+        if (breaker) breaker.recordSuccess();
         return result;
       } catch (error) {
         lastError = error;
-        console.warn(`Tentativa ${attempt}/${this.retryCount} falhou para ${context}:`, error.message);
+        classification = retryPolicy.classifyError(error);
+        console.warn(`Tentativa ${attempt}/${this.retryCount} falhou para ${context} [${classification.category}]:`, error.message);
         
-        if (attempt < this.retryCount) {
-          const delay = this.retryDelay * Math.pow(2, attempt - 1);
-          await new Promise(resolve => setTimeout(resolve, delay));
+        if (!retryPolicy.shouldRetry(classification, attempt, this.retryCount)) {
+          break;
         }
+
+        const delay = retryPolicy.getDelay(attempt, classification, { baseDelay: this.retryDelay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    if (breaker) {
+      if (retryPolicy.countsAsFailure(classification)) {
+        breaker.recordFailure();
+      } else {
+        breaker.releaseTrial();
       }
     }
     
-    throw new Error(`Falha após ${this.retryCount} tentativas em ${context}: ${lastError.message}`);
+    const attempts = Math.min(attempt, this.retryCount);
+    const finalError = new Error(`Falha após ${attempts} tentativa(s) em ${context}: ${lastError.message}`);
+    finalError.code = lastError.code;
+    finalError.status = lastError.status;
+    finalError.classification = classification;
+    throw finalError;
+  }
+
+  // Salões
+  /**
+   * Carrega os salões ativos e define o salão atual: window.SUPABASE_VENUE
+   * (id ou slug), a última escolha salva ou o salão padrão. Sem salões
+   * cadastrados as consultas ficam sem escopo; em caso de erro a escolha
+   * salva é mantida.
+   */
+  async resolveVenue() {
+    const { data, error } = await this.client.from('venues').select('*').eq('active', true).order('id');
+    if (error) {
+      console.warn('⚠️ Não foi possível carregar os salões:', error.message);
+      return;
+    }
+
+    this.venues = data || [];
+    const requested = window.SUPABASE_VENUE || (this.venue && this.venue.id);
+    this.applyVenue(this.findVenue(requested) || this.venues.find(venue => venue.is_default) || this.venues[0] || null);
+  }
+
+  /**
+   * Lista os salões ativos
+   * @returns {Promise<Object>} { data, error }
+   */
+  async getVenues() {
+    await this.init();
+    return { data: [...this.venues], error: null };
+  }
+
+  /**
+   * Lista os salões que o usuário autenticado pode administrar: todos para
+   * administradores gerais (ou sem sessão, como no backend local), senão os
+   * cadastrados em venue_admins. A RLS aplica a mesma regra no servidor.
+   * @returns {Promise<Object>} { data, error }
+   */
+  async getManagedVenues() {
+    await this.init();
+
+    let user = null;
+    if (this.client.auth && typeof this.client.auth.getUser === 'function') {
+      try {
+        const { data } = await this.client.auth.getUser();
+        user = data && data.user;
+      } catch (error) {
+        // Sem sessão
+      }
+    }
+
+    if (!user || (user.app_metadata && user.app_metadata.role === 'admin')) {
+      return { data: [...this.venues], error: null };
+    }
+
+    const { data } = await this.withRetry(async () => {
+      return await this.client.from('venue_admins').select('venue_id').eq('user_id', user.id);
+    }, 'buscar salões do administrador', 'venue_admins');
+
+    const managed = new Set((data || []).map(row => String(row.venue_id)));
+    return { data: this.venues.filter(venue => managed.has(String(venue.id))), error: null };
+  }
+
+  // Salão atual (null quando não há salões cadastrados)
+  getVenue() {
+    return this.venue;
+  }
+
+  /**
+   * Troca o salão atual. Consultas, caches e chaves locais passam a usar o novo
+   * salão e o evento 'venuechange' é disparado em window para as páginas recarregarem.
+   * @param {number|string} venueIdOrSlug - ID ou slug do salão
+   * @returns {Promise<Object>} Salão selecionado
+   * @throws {Error} Se o salão não existir ou estiver inativo
+   */
+  async setVenue(venueIdOrSlug) {
+    await this.init();
+
+    const venue = this.findVenue(venueIdOrSlug);
+    if (!venue) {
+      throw new Error(`Salão não encontrado: ${venueIdOrSlug}`);
+    }
+    if (this.venue && String(this.venue.id) === String(venue.id)) {
+      return this.venue;
+    }
+
+    this.applyVenue(venue);
+    window.dispatchEvent(new CustomEvent('venuechange', { detail: { venue: this.venue } }));
+    return this.venue;
+  }
+
+  findVenue(venueIdOrSlug) {
+    if (venueIdOrSlug === undefined || venueIdOrSlug === null || venueIdOrSlug === '') return null;
+    return this.venues.find(venue => String(venue.id) === String(venueIdOrSlug) || venue.slug === venueIdOrSlug) || null;
+  }
+
+  applyVenue(venue) {
+    this.venue = venue || null;
+
+    try {
+      if (this.venue) {
+        localStorage.setItem(this.venueStorageKey, JSON.stringify(this.venue));
+      } else {
+        localStorage.removeItem(this.venueStorageKey);
+      }
+    } catch (error) {
+      // Sem localStorage (modo privado): a escolha vale só para esta página
+    }
+
+    this.syncCacheScope();
+  }
+
+  loadStoredVenue() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.venueStorageKey));
+      return stored && stored.id !== undefined ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  syncCacheScope() {
+    if (window.cacheManager) {
+      cacheManager.setScope(this.venue ? `venue:${this.venue.id}` : null);
+    }
+  }
+
+  // Filtra a consulta pelo salão atual
+  scopeToVenue(query) {
+    return this.venue ? query.eq('venue_id', this.venue.id) : query;
+  }
+
+  // Atribui ao salão atual uma linha nova que não informa o salão
+  withVenue(row) {
+    if (!this.venue || (row.venue_id !== undefined && row.venue_id !== null)) return row;
+    return { ...row, venue_id: this.venue.id };
+  }
+
+  /**
+   * Chave de localStorage por salão. O salão padrão usa a chave original,
+   * preservando os dados salvos antes da existência de outros salões.
+   * @param {string} base - Chave original (ex.: 'buffetServices')
+   * @returns {string} Chave do salão atual
+   */
+  getVenueStorageKey(base) {
+    return this.venue && !this.venue.is_default ? `${base}:${this.venue.slug}` : base;
   }
 
   // Cache helpers
+  // A chave inclui o salão: trocar de salão não reaproveita dados do anterior
   getCacheKey(table, params = {}) {
-    return `${table}_${JSON.stringify(params)}`;
+    const venueId = this.venue ? this.venue.id : null;
+    return `${table}_${JSON.stringify({ ...params, venueId })}`;
+  }
+
+  /**
+   * Tags de uma entrada do cache: uma por tabela lida e a do salão atual
+   * @param {...string} tables - Tabelas de onde vêm os dados
+   * @returns {Array} Ex.: ['table:services', 'venue:1']
+   */
+  cacheTags(...tables) {
+    const tags = tables.map(table => `table:${table}`);
+    return this.venue ? [...tags, `venue:${this.venue.id}`] : tags;
   }
 
-  setCache(key, data) {
+  setCache(key, data, tags = []) {
     this.cache.set(key, {
       data,
+      tags,
       timestamp: Date.now()
     });
   }
@@ -146,48 +366,46 @@ class SupabaseClient {
     }
 
     const result = await this.withRetry(async () => {
-      let query = this.client.from('services').select('*').eq('active', true);
+      let query = this.scopeToVenue(this.client.from('services').select('*').eq('active', true).is('deleted_at', null));
       
       if (category) {
         query = query.eq('category', category);
       }
       
       return await query.order('name');
-    }, 'buscar serviços');
+    }, 'buscar serviços', 'services');
 
     if (result.data) {
-      this.setCache(cacheKey, result.data);
+      this.setCache(cacheKey, result.data, this.cacheTags('services'));
     }
 
     return result;
   }
 
   async createService(serviceData) {
-    return await this.withRetry(async () => {
-      return await this.client.from('services').insert([serviceData]).select();
-    }, 'criar serviço');
-  }
-
-  async updateService(id, serviceData) {
     const result = await this.withRetry(async () => {
-      return await this.client.from('services')
-        .update(serviceData)
-        .eq('id', id)
-        .select();
-    }, 'atualizar serviço');
+      return await this.client.from('services').insert([this.withVenue(serviceData)]).select();
+    }, 'criar serviço', 'services');
 
-    // Limpar cache relacionado
-    this.clearCacheByPattern('services');
+    this.invalidateCacheTags('table:services');
     return result;
   }
 
-  async deleteService(id) {
-    const result = await this.withRetry(async () => {
-      return await this.client.from('services').delete().eq('id', id);
-    }, 'deletar serviço');
+  /**
+   * Atualiza um serviço. Com versão esperada, falha com ConflictError se a
+   * linha tiver sido alterada desde a leitura.
+   * @param {number|string} id - ID do serviço
+   * @param {Object} serviceData - Campos alterados (version é ignorado)
+   * @param {number|null} expectedVersion - Versão lida; padrão serviceData.version
+   * @returns {Promise<Object>} Resultado com a linha atualizada
+   */
+  async updateService(id, serviceData, expectedVersion = serviceData.version) {
+    return await this.updateVersioned('services', id, serviceData, expectedVersion, 'atualizar serviço');
+  }
 
-    this.clearCacheByPattern('services');
-    return result;
+  // Envia para a lixeira; exclusão definitiva apenas via purgeFromTrash
+  async deleteService(id) {
+    return await this.softDelete('services', id);
   }
 
   // Métodos para Pacotes
@@ -200,57 +418,285 @@ class SupabaseClient {
     }
 
     const result = await this.withRetry(async () => {
-      let query = this.client.from('packages').select('*').eq('active', true);
+      let query = this.scopeToVenue(this.client.from('packages').select('*').eq('active', true).is('deleted_at', null));
       
       if (eventType) {
         query = query.eq('event_type', eventType);
       }
       
       return await query.order('price_per_person');
-    }, 'buscar pacotes');
+    }, 'buscar pacotes', 'packages');
 
     if (result.data) {
-      this.setCache(cacheKey, result.data);
+      this.setCache(cacheKey, result.data, this.cacheTags('packages'));
     }
 
     return result;
   }
 
   async createPackage(packageData) {
-    return await this.withRetry(async () => {
-      return await this.client.from('packages').insert([packageData]).select();
-    }, 'criar pacote');
-  }
-
-  async updatePackage(id, packageData) {
     const result = await this.withRetry(async () => {
-      return await this.client.from('packages')
-        .update(packageData)
-        .eq('id', id)
-        .select();
-    }, 'atualizar pacote');
+      return await this.client.from('packages').insert([this.withVenue(packageData)]).select();
+    }, 'criar pacote', 'packages');
 
-    this.clearCacheByPattern('packages');
+    this.invalidateCacheTags('table:packages');
     return result;
   }
 
+  async updatePackage(id, packageData, expectedVersion = packageData.version) {
+    return await this.updateVersioned('packages', id, packageData, expectedVersion, 'atualizar pacote');
+  }
+
+  async deletePackage(id) {
+    return await this.softDelete('packages', id);
+  }
+
+  // Importação em lote
+  /**
+   * Insere ou atualiza serviços em lote (ex.: tabela de preços anual)
+   * @param {Array<Object>} rows - Linhas no formato da tabela services
+   * @param {Object} options - { dryRun, skipInvalid } (ver upsertBatch)
+   * @returns {Promise<Object>} { data, error, report }
+   */
+  async upsertServices(rows, options = {}) {
+    return await this.upsertBatch('services', rows, row => DataModels.validateService(row), options);
+  }
+
+  async upsertPackages(rows, options = {}) {
+    return await this.upsertBatch('packages', rows, row => DataModels.validatePackage(row), options);
+  }
+
+  /**
+   * Valida cada linha e grava o lote no salão atual. Linhas com id, ou com o
+   * mesmo nome de um item fora da lixeira, atualizam apenas as colunas
+   * informadas; as demais são inseridas. Se alguma linha for inválida nada é gravado, a menos que
+   * skipInvalid seja true. Com dryRun apenas o relatório é devolvido.
+   * @param {string} table - Tabela do catálogo
+   * @param {Array<Object>} rows - Linhas a importar
+   * @param {Function} validate - Validador do DataModels ({ valid, errors, sanitized })
+   * @param {Object} options - { dryRun = false, skipInvalid = false }
+   * @returns {Promise<Object>} { data, error, report } onde report traz
+   *   { dryRun, total, inserted, updated, invalid, rows: [{ index, action, errors, before, record }] }
+   */
+  async upsertBatch(table, rows, validate, options = {}) {
+    const { dryRun = false, skipInvalid = false } = options;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return { data: null, error: { message: 'Nenhuma linha para importar' }, report: null };
+    }
+
+    const { data: existing } = await this.withRetry(async () => {
+      return await this.scopeToVenue(this.client.from(table).select('*').is('deleted_at', null));
+    }, `carregar ${table} para importação`, table);
+
+    const nameKey = name => (typeof name === 'string' ? name.trim().toLowerCase() : '');
+    const byId = new Map((existing || []).map(row => [String(row.id), row]));
+    const byName = new Map((existing || []).map(row => [nameKey(row.name), row]));
+    const seenNames = new Set();
+
+    const reportRows = rows.map((row, index) => {
+      // Linhas importadas entram ativas, salvo indicação contrária
+      const validation = validate({ active: true, ...row });
+      const errors = [...validation.errors];
+      const hasId = row.id !== undefined && row.id !== null && row.id !== '';
+      const key = nameKey(row.name);
+
+      if (key && seenNames.has(key)) {
+        errors.push('Nome repetido no arquivo');
+      }
+      seenNames.add(key);
+
+      const before = hasId ? byId.get(String(row.id)) : byName.get(key);
+      if (hasId && !before) {
+        errors.push(`ID ${row.id} não encontrado`);
+      }
+
+      if (errors.length > 0) {
+        return { index, action: 'invalid', errors, before: null, record: null };
+      }
+
+      const { id, ...sanitized } = validation.sanitized;
+      if (!before) {
+        return { index, action: 'insert', errors, before: null, record: sanitized };
+      }
+
+      // Atualização parcial: colunas ausentes na linha mantêm o valor atual.
+      // version e updated_at ficam a cargo dos triggers.
+      const { version, updated_at, ...current } = before;
+      const changes = {};
+      Object.keys(sanitized).forEach(column => {
+        if (column in row) changes[column] = sanitized[column];
+      });
+      return { index, action: 'update', errors, before, record: { ...current, ...changes } };
+    });
+
+    const report = {
+      dryRun,
+      total: rows.length,
+      inserted: reportRows.filter(row => row.action === 'insert').length,
+      updated: reportRows.filter(row => row.action === 'update').length,
+      invalid: reportRows.filter(row => row.action === 'invalid').length,
+      rows: reportRows
+    };
+
+    if (dryRun) {
+      return { data: null, error: null, report };
+    }
+
+    if (report.invalid > 0 && !skipInvalid) {
+      return {
+        data: null,
+        error: {
+          message: `${report.invalid} linha(s) inválida(s); nada foi importado`,
+          details: reportRows.filter(row => row.action === 'invalid')
+        },
+        report
+      };
+    }
+
+    const updates = reportRows.filter(row => row.action === 'update');
+    const inserts = reportRows.filter(row => row.action === 'insert');
+    const written = [];
+
+    if (updates.length > 0) {
+      const { data } = await this.withRetry(async () => {
+        return await this.client.from(table)
+          .upsert(updates.map(row => row.record), { onConflict: 'id' })
+          .select();
+      }, `atualizar ${table} em lote`, table);
+
+      const saved = new Map((data || []).map(row => [String(row.id), row]));
+      updates.forEach(row => {
+        row.record = saved.get(String(row.record.id)) || row.record;
+      });
+      written.push(...(data || []));
+    }
+
+    if (inserts.length > 0) {
+      const { data } = await this.withRetry(async () => {
+        return await this.client.from(table)
+          .insert(inserts.map(row => this.withVenue(row.record)))
+          .select();
+      }, `inserir ${table} em lote`, table);
+
+      // O PostgREST devolve as linhas inseridas na ordem enviada
+      (data || []).forEach((row, position) => {
+        if (inserts[position]) inserts[position].record = row;
+      });
+      written.push(...(data || []));
+    }
+
+    this.invalidateCacheTags(`table:${table}`);
+    return { data: written, error: null, report };
+  }
+
+  // Protocolos
+  /**
+   * Reserva no backend o próximo protocolo sequencial (BS-AAAA-NNNNNN-D).
+   * Com o protocolo provisório a reserva é idempotente: reenvios do mesmo
+   * orçamento recebem o mesmo número.
+   * @param {string|null} provisionalProtocol - Protocolo provisório do registro
+   * @returns {Promise<string>} Protocolo oficial
+   */
+  async allocateProtocolNumber(provisionalProtocol = null) {
+    const { data } = await this.withRetry(async () => {
+      return await this.client.rpc('allocate_protocol_number', { provisional: provisionalProtocol });
+    }, 'reservar protocolo', 'protocols');
+
+    return data;
+  }
+
+  /**
+   * Insere um orçamento ou agendamento com protocolo oficial reservado no
+   * backend. Sem .select(): visitantes só podem inserir (RLS), não ler de
+   * volta, então o próprio registro enviado é retornado.
+   * Se o protocolo já foi gravado (reenvio após falha de rede), o registro
+   * é tratado como já existente.
+   * @param {string} table - 'quotes' ou 'bookings'
+   * @param {Object} row - Registro sanitizado (com protocolo provisório)
+   * @param {string} context - Descrição para logs
+   * @returns {Promise<Object>} { data: [registro], error, alreadySynced }
+   */
+  async insertWithProtocol(table, row, context) {
+    await this.init();
+    const provisionalProtocol = protocolNumbers.isProvisional(row.protocol_number)
+      ? row.protocol_number
+      : protocolNumbers.generateProvisional();
+    const protocolNumber = await this.allocateProtocolNumber(provisionalProtocol);
+    const record = this.withVenue({ ...row, protocol_number: protocolNumber, provisional_protocol: provisionalProtocol });
+
+    try {
+      await this.withRetry(async () => {
+        return await this.client.from(table).insert([record]);
+      }, context, table);
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+      console.log(`ℹ️ ${protocolNumber} já estava gravado em ${table}`);
+      return { data: [record], error: null, alreadySynced: true };
+    }
+
+    return { data: [record], error: null, alreadySynced: false };
+  }
+
   // Métodos para Orçamentos
+  /**
+   * Envia um orçamento. O total é recalculado pelo catálogo (quote-pricing.js)
+   * aqui, para recusar itens fora do catálogo antes do envio, e de novo no
+   * backend, que grava o total confiável e o snapshot de preços.
+   * @param {Object} quoteData - Orçamento sanitizado
+   * @returns {Promise<Object>} { data: [orçamento com o total do catálogo], error }
+   */
   async createQuote(quoteData) {
-    return await this.withRetry(async () => {
-      return await this.client.from('quotes').insert([quoteData]).select();
-    }, 'criar orçamento');
+    const pricing = await this.priceQuote(quoteData);
+    if (!pricing.valid) {
+      return { data: null, error: { message: pricing.errors.join(', '), details: pricing.errors, code: '23514' } };
+    }
+
+    const result = await this.insertWithProtocol('quotes', quoteData, 'criar orçamento');
+
+    // Visitantes não leem a linha gravada: o backend calculou o mesmo que pricing
+    return { ...result, data: result.data.map(row => ({ ...row, ...pricing.fields })) };
+  }
+
+  /**
+   * Recalcula um orçamento com os preços atuais do catálogo do salão do
+   * orçamento (venue_id), que pode não ser o selecionado: um orçamento salvo
+   * offline em um salão pode ser sincronizado depois da troca de salão
+   * @param {Object} quoteData - Orçamento (venue_id, selected_services, guest_count, total_amount)
+   * @returns {Promise<Object>} Resultado de quotePricing.priceQuote
+   */
+  async priceQuote(quoteData) {
+    const venueId = quoteData.venue_id !== undefined && quoteData.venue_id !== null
+      ? quoteData.venue_id
+      : (this.venue ? this.venue.id : null);
+    const [services, packages] = await Promise.all([
+      this.getCatalogRows('services', venueId),
+      this.getCatalogRows('packages', venueId)
+    ]);
+    const catalog = quotePricing.buildCatalog(services, packages);
+    return quotePricing.priceQuote(quoteData, catalog);
+  }
+
+  // Itens ativos de services ou packages de um salão (sem salão: o selecionado)
+  async getCatalogRows(table, venueId) {
+    const result = await this.withRetry(async () => {
+      const query = this.client.from(table).select('*').eq('active', true).is('deleted_at', null);
+      return await (venueId === null ? this.scopeToVenue(query) : query.eq('venue_id', venueId));
+    }, `buscar catálogo (${table})`, table);
+
+    return result.data || [];
   }
 
   async getQuotes(status = null) {
     return await this.withRetry(async () => {
-      let query = this.client.from('quotes').select('*');
+      let query = this.scopeToVenue(this.client.from('quotes').select('*'));
       
       if (status) {
         query = query.eq('status', status);
       }
       
       return await query.order('created_at', { ascending: false });
-    }, 'buscar orçamentos');
+    }, 'buscar orçamentos', 'quotes');
   }
 
   async updateQuoteStatus(id, status) {
@@ -259,7 +705,261 @@ class SupabaseClient {
         .update({ status, updated_at: new Date().toISOString() })
         .eq('id', id)
         .select();
-    }, 'atualizar status do orçamento');
+    }, 'atualizar status do orçamento', 'quotes');
+  }
+
+  /**
+   * Busca orçamentos paginados com filtros no servidor
+   * @param {Object} options - { status, from, to, eventType, search, pageSize, cursor, range }
+   * @returns {Promise<Object>} { data, error, count, nextCursor, hasMore }
+   */
+  async getQuotesPage(options = {}) {
+    const { status = null, from = null, to = null, eventType = null, search = '' } = options;
+
+    return await this.fetchPage('quotes', {
+      ...options,
+      orderColumn: 'created_at',
+      applyFilters: (query) => {
+        query = this.scopeToVenue(query);
+        if (status) query = query.eq('status', status);
+        if (eventType) query = query.eq('event_type', eventType);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+
+        const term = this.sanitizeSearchTerm(search);
+        if (term) {
+          query = query.or(`client_name.ilike.%${term}%,protocol_number.ilike.%${term}%,provisional_protocol.ilike.%${term}%`);
+        }
+        return query;
+      }
+    }, 'buscar orçamentos paginados');
+  }
+
+  // Métodos para Agendamentos
+  /**
+   * Cria um agendamento depois de verificar as regras de agenda do salão
+   * contra os eventos já marcados em torno da data
+   * @param {Object} bookingData - Dados do agendamento
+   * @returns {Promise<Object>} { data, error }
+   */
+  async createBooking(bookingData) {
+    await this.getBookingRules();
+
+    let existingBookings = [];
+    if (bookingData && DataModels.isValidDate(bookingData.event_date)) {
+      // Dois dias para cada lado cobrem o dia inteiro no fuso do salão e
+      // eventos vizinhos cuja montagem/desmontagem cruza a meia-noite
+      const eventTime = new Date(bookingData.event_date).getTime();
+      const margin = 2 * 24 * 60 * 60 * 1000;
+      const { data } = await this.getBookedSlots(new Date(eventTime - margin).toISOString(), new Date(eventTime + margin).toISOString(), false);
+      existingBookings = data || [];
+    }
+
+    const validation = DataModels.validateBooking(bookingData, existingBookings);
+    if (!validation.valid) {
+      return { data: null, error: { message: validation.errors.join(', '), details: validation.errors } };
+    }
+
+    const result = await this.insertWithProtocol('bookings', { ...validation.sanitized, status: 'pending' }, 'criar agendamento');
+
+    this.invalidateCacheTags('table:bookings');
+    return result;
+  }
+
+  /**
+   * Carrega as regras de agenda do salão atual (booking_rules e
+   * blackout_dates) e as aplica em bookingRules. Sem regras cadastradas, ou
+   * se a leitura falhar, valem os defaults do motor.
+   * @param {boolean} useCache - Se deve usar cache
+   * @returns {Promise<Object>} { data: { rules, blackoutDates }, error }
+   */
+  async getBookingRules(useCache = true) {
+    const cacheKey = this.getCacheKey('booking_rules');
+    const cached = useCache ? this.getCache(cacheKey) : null;
+    if (cached) {
+      bookingRules.configure(cached.rules, cached.blackoutDates);
+      return { data: cached, error: null };
+    }
+
+    try {
+      const [rules, blackoutDates] = await Promise.all([
+        this.withRetry(async () => {
+          return await this.scopeToVenue(this.client.from('booking_rules').select('*')).maybeSingle();
+        }, 'buscar regras de agenda', 'bookings'),
+        this.withRetry(async () => {
+          return await this.scopeToVenue(this.client.from('blackout_dates').select('*')).order('date');
+        }, 'buscar datas bloqueadas', 'bookings')
+      ]);
+
+      const data = { rules: rules.data || null, blackoutDates: blackoutDates.data || [] };
+      this.setCache(cacheKey, data, this.cacheTags('booking_rules', 'blackout_dates'));
+      bookingRules.configure(data.rules, data.blackoutDates);
+      return { data, error: null };
+    } catch (error) {
+      console.warn('⚠️ Regras de agenda indisponíveis, usando padrões:', error.message);
+      bookingRules.configure();
+      return { data: { rules: null, blackoutDates: [] }, error: { message: error.message } };
+    }
+  }
+
+  /**
+   * Grava as regras de agenda do salão atual e substitui as datas bloqueadas
+   * @param {Object} rules - Campos de booking_rules (sem venue_id)
+   * @param {Array} blackoutDates - { date: 'AAAA-MM-DD', reason, recurring }
+   * @returns {Promise<Object>} { data: [regras com blackout_dates], error }
+   */
+  async saveBookingRules(rules, blackoutDates = []) {
+    await this.init();
+    const record = this.withVenue({ ...rules, updated_at: new Date().toISOString() });
+
+    try {
+      const saved = await this.withRetry(async () => {
+        return await this.client.from('booking_rules')
+          .upsert([record], { onConflict: 'venue_id' })
+          .select();
+      }, 'salvar regras de agenda', 'bookings');
+
+      await this.withRetry(async () => {
+        return await this.scopeToVenue(this.client.from('blackout_dates').delete().gte('date', '0001-01-01'));
+      }, 'limpar datas bloqueadas', 'bookings');
+
+      let savedDates = [];
+      if (blackoutDates.length > 0) {
+        const inserted = await this.withRetry(async () => {
+          return await this.client.from('blackout_dates')
+            .insert(blackoutDates.map(entry => this.withVenue({ ...entry })))
+            .select();
+        }, 'salvar datas bloqueadas', 'bookings');
+        savedDates = inserted.data || [];
+      }
+
+      const row = (saved.data && saved.data[0]) || record;
+      return { data: [{ ...row, blackout_dates: savedDates }], error: null };
+    } finally {
+      this.invalidateCacheTags(['table:booking_rules', 'table:blackout_dates']);
+    }
+  }
+
+  /**
+   * Ocupação da agenda do salão atual (data, duração e status), legível
+   * também por visitantes via get_booked_slots
+   * @param {string} from - Início do período (ISO)
+   * @param {string} to - Fim do período (ISO, inclusivo)
+   * @param {boolean} useCache - Se deve usar cache
+   * @returns {Promise<Object>} { data, error }
+   */
+  async getBookedSlots(from, to, useCache = true) {
+    await this.init();
+    const cacheKey = this.getCacheKey('booked_slots', { from, to });
+
+    if (useCache) {
+      const cached = this.getCache(cacheKey);
+      if (cached) return { data: cached, error: null };
+    }
+
+    const result = await this.withRetry(async () => {
+      return await this.client.rpc('get_booked_slots', {
+        target_venue: this.venue ? this.venue.id : null,
+        range_start: from,
+        range_end: to
+      });
+    }, 'buscar ocupação da agenda', 'bookings');
+
+    if (result.data) {
+      // Ocupação vem de bookings: sai do cache junto com os agendamentos
+      this.setCache(cacheKey, result.data, this.cacheTags('bookings'));
+    }
+
+    return result;
+  }
+
+  /**
+   * Busca agendamentos com filtros opcionais
+   * @param {Object} filters - { status, from, to } (datas ISO, intervalo inclusivo)
+   * @param {boolean} useCache - Se deve usar cache
+   */
+  async getBookings(filters = {}, useCache = true) {
+    const { status = null, from = null, to = null } = filters;
+    const cacheKey = this.getCacheKey('bookings', { status, from, to });
+
+    if (useCache) {
+      const cached = this.getCache(cacheKey);
+      if (cached) return { data: cached, error: null };
+    }
+
+    const result = await this.withRetry(async () => {
+      let query = this.scopeToVenue(this.client.from('bookings').select('*'));
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      if (from) {
+        query = query.gte('event_date', from);
+      }
+
+      if (to) {
+        query = query.lte('event_date', to);
+      }
+
+      return await query.order('event_date');
+    }, 'buscar agendamentos', 'bookings');
+
+    if (result.data) {
+      this.setCache(cacheKey, result.data, this.cacheTags('bookings'));
+    }
+
+    return result;
+  }
+
+  /**
+   * Busca agendamento pelo protocolo oficial ou provisório. Protocolos com
+   * dígito verificador errado são recusados sem consultar o backend.
+   * @param {string} protocolNumber - Protocolo digitado
+   * @returns {Promise<Object>} { data, error }
+   */
+  async getBookingByProtocol(protocolNumber) {
+    const protocol = protocolNumbers.normalize(protocolNumber);
+    if (!protocol) {
+      return { data: null, error: { message: 'Protocolo inválido: confira os números e o dígito verificador' } };
+    }
+
+    const column = protocolNumbers.isProvisional(protocol) ? 'provisional_protocol' : 'protocol_number';
+    return await this.withRetry(async () => {
+      return await this.client.from('bookings')
+        .select('*')
+        .eq(column, protocol)
+        .maybeSingle();
+    }, 'buscar agendamento por protocolo', 'bookings');
+  }
+
+  async updateBooking(id, bookingData) {
+    const result = await this.withRetry(async () => {
+      return await this.client.from('bookings')
+        .update({ ...bookingData, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+    }, 'atualizar agendamento', 'bookings');
+
+    this.invalidateCacheTags('table:bookings');
+    return result;
+  }
+
+  async cancelBooking(id, reason = '') {
+    const result = await this.withRetry(async () => {
+      return await this.client.from('bookings')
+        .update({
+          status: 'cancelled',
+          cancellation_reason: reason,
+          cancelled_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select();
+    }, 'cancelar agendamento', 'bookings');
+
+    this.invalidateCacheTags('table:bookings');
+    return result;
   }
 
   // Métodos para Fotos
@@ -272,28 +972,149 @@ class SupabaseClient {
     }
 
     const result = await this.withRetry(async () => {
-      return await this.client.from('space_photos')
-        .select('*')
+      return await this.scopeToVenue(this.client.from('space_photos').select('*'))
         .eq('active', true)
+        .is('deleted_at', null)
         .order('upload_date', { ascending: false });
-    }, 'buscar fotos do espaço');
+    }, 'buscar fotos do espaço', 'space_photos');
 
     if (result.data) {
-      this.setCache(cacheKey, result.data);
+      this.setCache(cacheKey, result.data, this.cacheTags('space_photos'));
     }
 
     return result;
   }
 
+  /**
+   * Busca fotos do espaço paginadas (mais recentes primeiro)
+   * @param {Object} options - { category, pageSize, cursor, range }
+   * @param {boolean} useCache - Se deve usar cache
+   * @returns {Promise<Object>} { data, error, count, nextCursor, hasMore }
+   */
+  async getSpacePhotosPage(options = {}, useCache = true) {
+    const { category = null, pageSize = 24, cursor = null, range = null } = options;
+    const cacheKey = this.getCacheKey('space_photos_page', { category, pageSize, cursor, range });
+
+    if (useCache) {
+      const cached = this.getCache(cacheKey);
+      if (cached) return { ...cached, error: null };
+    }
+
+    const result = await this.fetchPage('space_photos', {
+      pageSize,
+      cursor,
+      range,
+      orderColumn: 'upload_date',
+      applyFilters: (query) => {
+        query = this.scopeToVenue(query).eq('active', true).is('deleted_at', null);
+        return category ? query.eq('category', category) : query;
+      }
+    }, 'buscar fotos do espaço paginadas');
+
+    if (result.data) {
+      this.setCache(cacheKey, { data: result.data, count: result.count, nextCursor: result.nextCursor, hasMore: result.hasMore }, this.cacheTags('space_photos'));
+    }
+
+    return result;
+  }
+
+  /**
+   * Cadastra uma foto do espaço já enviada ao storage (ver uploadImage)
+   * @param {Object} photoData - { title, description, image_url, thumbnail_url, category, active }
+   * @returns {Promise<Object>} Resultado com a linha criada
+   */
+  async createSpacePhoto(photoData) {
+    if (!photoData || typeof photoData.image_url !== 'string' || !photoData.image_url) {
+      return { data: null, error: { message: 'URL da imagem é obrigatória' } };
+    }
+
+    const result = await this.withRetry(async () => {
+      return await this.client.from('space_photos').insert([this.withVenue(photoData)]).select();
+    }, 'criar foto do espaço', 'space_photos');
+
+    this.invalidateCacheTags('table:space_photos');
+    return result;
+  }
+
+  async deleteSpacePhoto(id) {
+    return await this.softDelete('space_photos', id);
+  }
+
   // Métodos para Upload de Imagens
-  async uploadImage(file, bucket = 'service-images', path = null) {
+  /**
+   * Envia uma imagem ao storage. Com o imagePipeline disponível a imagem é
+   * redimensionada e reencodada sem metadados antes do envio, e a miniatura é
+   * enviada junto, como <nome>_thumb.<ext> no mesmo diretório.
+   * @param {File} file - Imagem original
+   * @param {string} bucket - Bucket de destino
+   * @param {string|null} path - Caminho no bucket, dentro da pasta do salão
+   *   selecionado; a extensão segue o formato gerado
+   * @param {Object} options - Configuração do pipeline para esta chamada, ou
+   *   { process: false } para enviar o arquivo original
+   * @returns {Promise<Object>} { data: { path, publicUrl, thumbnailPath, thumbnailUrl,
+   *   width, height, size, originalSize }, error }. Sem processamento,
+   *   thumbnailUrl é a própria publicUrl.
+   */
+  async uploadImage(file, bucket = 'service-images', path = null, options = {}) {
+    const { process: shouldProcess = true, ...pipelineOptions } = options;
+    let processed = null;
+
+    if (shouldProcess && window.imagePipeline && imagePipeline.isSupported()) {
+      processed = await imagePipeline.process(file, pipelineOptions);
+    }
+
+    const image = processed ? processed.image : file;
+    const extension = image.name.split('.').pop();
+
     if (!path) {
       const timestamp = Date.now();
-      const extension = file.name.split('.').pop();
       path = `${timestamp}_${Math.random().toString(36).substr(2, 9)}.${extension}`;
+    } else if (processed) {
+      path = `${path.replace(/\.[^./]+$/, '')}.${extension}`;
     }
+    path = this.venueStoragePath(path);
 
-    return await this.withRetry(async () => {
+    const main = await this.uploadFile(bucket, path, image);
+    if (!processed) {
+      return {
+        data: { ...main, thumbnailPath: null, thumbnailUrl: main.publicUrl, size: file.size, originalSize: file.size },
+        error: null
+      };
+    }
+
+    const thumbnailPath = imagePipeline.getThumbnailPath(path);
+    let thumbnail;
+    try {
+      thumbnail = await this.uploadFile(bucket, thumbnailPath, processed.thumbnail);
+    } catch (error) {
+      // Sem miniatura a imagem principal fica órfã: remove antes de propagar o erro
+      await this.client.storage.from(bucket).remove([path]).catch(() => {});
+      throw error;
+    }
+
+    return {
+      data: {
+        ...main,
+        thumbnailPath,
+        thumbnailUrl: thumbnail.publicUrl,
+        width: processed.width,
+        height: processed.height,
+        size: image.size,
+        originalSize: processed.originalSize
+      },
+      error: null
+    };
+  }
+
+  // Arquivos do salão ficam na pasta <venue_id>/, conferida pelas políticas de storage
+  venueStoragePath(path) {
+    if (!this.venue) return path;
+    const prefix = `${this.venue.id}/`;
+    return path.startsWith(prefix) ? path : `${prefix}${path}`;
+  }
+
+  async uploadFile(bucket, path, file) {
+    const result = await this.withRetry(async () => {
       const { data, error } = await this.client.storage
         .from(bucket)
         .upload(path, file);
@@ -306,13 +1127,20 @@ class SupabaseClient {
         .getPublicUrl(path);
 
       return { data: { ...data, publicUrl: urlData.publicUrl }, error: null };
-    }, 'upload de imagem');
+    }, 'upload de imagem', `storage:${bucket}`);
+
+    return result.data;
   }
 
+  // Remove a imagem e, se existir, a miniatura gerada pelo pipeline
   async deleteImage(path, bucket = 'service-images') {
+    const paths = [path];
+    const thumbnailPath = window.imagePipeline ? imagePipeline.getThumbnailPath(path) : null;
+    if (thumbnailPath) paths.push(thumbnailPath);
+
     return await this.withRetry(async () => {
-      return await this.client.storage.from(bucket).remove([path]);
-    }, 'deletar imagem');
+      return await this.client.storage.from(bucket).remove(paths);
+    }, 'deletar imagem', `storage:${bucket}`);
   }
 
   // Métodos para Vídeos
@@ -325,26 +1153,363 @@ class SupabaseClient {
     }
 
     const result = await this.withRetry(async () => {
-      return await this.client.from('featured_videos')
-        .select('*')
+      return await this.scopeToVenue(this.client.from('featured_videos').select('*'))
         .eq('active', true)
+        .is('deleted_at', null)
         .order('added_date', { ascending: false });
-    }, 'buscar vídeos em destaque');
+    }, 'buscar vídeos em destaque', 'featured_videos');
 
     if (result.data) {
-      this.setCache(cacheKey, result.data);
+      this.setCache(cacheKey, result.data, this.cacheTags('featured_videos'));
     }
 
     return result;
   }
 
+  async deleteFeaturedVideo(id) {
+    return await this.softDelete('featured_videos', id);
+  }
+
+  // Lixeira (soft delete)
+  /**
+   * Marca um item do catálogo como excluído (deleted_at), sem remover a linha
+   * @param {string} table - Tabela com suporte a lixeira
+   * @param {number|string} id - ID do item
+   */
+  async softDelete(table, id) {
+    this.assertTrashTable(table);
+
+    const result = await this.withRetry(async () => {
+      return await this.client.from(table)
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+    }, `mover para lixeira (${table})`, table);
+
+    this.invalidateCacheTags(`table:${table}`);
+    return result;
+  }
+
+  /**
+   * Lista itens excluídos do salão atual, mais recentes primeiro
+   * @param {string} table - Tabela com suporte a lixeira
+   */
+  async getTrash(table) {
+    this.assertTrashTable(table);
+
+    return await this.withRetry(async () => {
+      return await this.scopeToVenue(this.client.from(table).select('*'))
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+    }, `buscar lixeira (${table})`, table);
+  }
+
+  async restoreFromTrash(table, id) {
+    this.assertTrashTable(table);
+
+    const result = await this.withRetry(async () => {
+      return await this.client.from(table)
+        .update({ deleted_at: null })
+        .eq('id', id)
+        .select();
+    }, `restaurar da lixeira (${table})`, table);
+
+    this.invalidateCacheTags(`table:${table}`);
+    return result;
+  }
+
+  /**
+   * Exclui definitivamente um item que já está na lixeira.
+   * Para fotos, remove também o arquivo do storage.
+   * @param {string} table - Tabela com suporte a lixeira
+   * @param {number|string} id - ID do item
+   */
+  async purgeFromTrash(table, id) {
+    this.assertTrashTable(table);
+
+    const { data: row } = await this.withRetry(async () => {
+      return await this.client.from(table).select('*').eq('id', id).maybeSingle();
+    }, `buscar item da lixeira (${table})`, table);
+
+    if (!row || !row.deleted_at) {
+      return { data: null, error: { message: 'Item não encontrado na lixeira' } };
+    }
+
+    const result = await this.withRetry(async () => {
+      return await this.client.from(table).delete().eq('id', id);
+    }, `excluir definitivamente (${table})`, table);
+
+    if (table === 'space_photos') {
+      await this.removeStoredImage(row.image_url);
+    }
+
+    this.invalidateCacheTags(`table:${table}`);
+    return result;
+  }
+
+  assertTrashTable(table) {
+    if (!this.trashTables.includes(table)) {
+      throw new Error(`Tabela sem suporte a lixeira: ${table}`);
+    }
+  }
+
+  // Remove o arquivo se a URL for do storage do Supabase (URLs externas são ignoradas)
+  async removeStoredImage(url) {
+    const match = typeof url === 'string' && url.match(/\/storage\/v1\/object\/public\/([^/]+)\/(.+)$/);
+    if (!match) return;
+
+    try {
+      await this.deleteImage(decodeURIComponent(match[2]), match[1]);
+    } catch (error) {
+      console.warn('⚠️ Falha ao remover arquivo da foto excluída:', error.message);
+    }
+  }
+
+  // Auditoria
+  async createAuditEntry(entry) {
+    return await this.withRetry(async () => {
+      return await this.client.from('audit_log').insert([entry]);
+    }, 'registrar auditoria', 'audit_log');
+  }
+
+  /**
+   * Busca o histórico de auditoria paginado, mais recente primeiro
+   * @param {Object} options - { entity, action, actor, from, to, pageSize, cursor }
+   * @returns {Promise<Object>} { data, error, count, nextCursor, hasMore }
+   */
+  async getAuditLogPage(options = {}) {
+    const { entity = null, action = null, actor = '', from = null, to = null } = options;
+
+    return await this.fetchPage('audit_log', {
+      ...options,
+      orderColumn: 'created_at',
+      applyFilters: (query) => {
+        if (entity) query = query.eq('entity', entity);
+        if (action) query = query.eq('action', action);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+
+        const term = this.sanitizeSearchTerm(actor);
+        if (term) query = query.ilike('actor', `%${term}%`);
+        return query;
+      }
+    }, 'buscar auditoria');
+  }
+
+  // Controle de concorrência otimista
+  /**
+   * Atualiza uma linha condicionada à versão esperada. O trigger bump_version
+   * (ou o backend local) incrementa a versão; sem versão esperada a
+   * atualização é incondicional, como antes.
+   * @param {string} table - Tabela com coluna version
+   * @param {number|string} id - ID da linha
+   * @param {Object} values - Campos alterados
+   * @param {number|null} expectedVersion - Versão lida pelo chamador
+   * @param {string} context - Descrição para logs
+   * @returns {Promise<Object>} Resultado com a linha atualizada
+   * @throws {ConflictError} Se a linha mudou ou foi removida
+   */
+  async updateVersioned(table, id, values, expectedVersion, context) {
+    const { version, ...changes } = values;
+    const checkVersion = expectedVersion !== undefined && expectedVersion !== null;
+
+    const result = await this.withRetry(async () => {
+      let query = this.client.from(table).update(changes).eq('id', id);
+      if (checkVersion) {
+        query = query.eq('version', expectedVersion);
+      }
+      return await query.select();
+    }, context, table);
+
+    this.invalidateCacheTags(`table:${table}`);
+
+    if (checkVersion && (!result.data || result.data.length === 0)) {
+      const current = await this.getRecord(table, id);
+      if (current && current.version === expectedVersion) {
+        // Mesma versão e nada atualizado: bloqueio de RLS, não conflito
+        throw new Error(`Falha em ${context}: nenhuma linha atualizada (sem permissão?)`);
+      }
+      throw new ConflictError(table, id, expectedVersion, current);
+    }
+
+    return result;
+  }
+
+  /**
+   * Lê uma linha pelo id, sem cache (usado para snapshots de auditoria)
+   * @param {string} table - Nome da tabela
+   * @param {number|string} id - ID da linha
+   * @returns {Promise<Object|null>} Linha ou null
+   */
+  async getRecord(table, id) {
+    const result = await this.withRetry(async () => {
+      return await this.client.from(table).select('*').eq('id', id).maybeSingle();
+    }, `buscar registro (${table})`, table);
+
+    return result.data || null;
+  }
+
+  // Mudanças em tempo real
+  /**
+   * Assina mudanças (INSERT/UPDATE/DELETE) de uma tabela. Usa o Realtime
+   * (postgres_changes) do Supabase ou polling no backend local. O cache da
+   * tabela é invalidado antes de chamar o handler.
+   * @param {string} table - Nome da tabela
+   * @param {Function} handler - Recebe { eventType, table, new, old }
+   * @returns {Function} Função para cancelar a assinatura
+   */
+  subscribe(table, handler) {
+    let unsubscribe = null;
+    let cancelled = false;
+
+    const onChange = (payload) => {
+      // Cada aba assinante recebe a mudança por conta própria
+      this.invalidateCacheTags(`table:${table}`, { broadcast: false });
+
+      try {
+        handler({
+          eventType: payload.eventType,
+          table,
+          new: payload.new || null,
+          old: payload.old || null
+        });
+      } catch (error) {
+        console.error(`❌ Erro no handler de tempo real para ${table}:`, error);
+      }
+    };
+
+    this.init().then(() => {
+      if (cancelled) return;
+
+      if (this.isLocalBackend()) {
+        unsubscribe = this.client.watchTable(table, onChange, this.realtimePollInterval);
+      } else if (window.SUPABASE_REALTIME === false) {
+        // Servidores sem Realtime (ex.: stub local): dados atualizam ao expirar o cache
+        console.log(`📡 Tempo real desativado; '${table}' não será assinada`);
+        return;
+      } else {
+        const channel = this.client
+          .channel(`realtime:${table}:${++this.subscriptionCounter}`)
+          .on('postgres_changes', { event: '*', schema: 'public', table }, onChange)
+          .subscribe();
+        unsubscribe = () => this.client.removeChannel(channel);
+      }
+
+      console.log(`📡 Assinatura de tempo real ativa para '${table}'`);
+    }).catch(error => {
+      console.error(`❌ Falha ao assinar mudanças de ${table}:`, error);
+    });
+
+    const cancel = () => {
+      cancelled = true;
+      this.subscriptions.delete(cancel);
+      if (unsubscribe) unsubscribe();
+    };
+
+    this.subscriptions.add(cancel);
+    return cancel;
+  }
+
+  unsubscribeAll() {
+    for (const cancel of [...this.subscriptions]) {
+      cancel();
+    }
+  }
+
+  // Paginação
+  /**
+   * Busca uma página ordenada de forma decrescente por orderColumn + id.
+   * Com cursor usa keyset pagination (estável com inserções); com range usa offset.
+   * @param {string} table - Nome da tabela
+   * @param {Object} options - { orderColumn, pageSize, cursor, range: { from, to }, applyFilters }
+   * @param {string} context - Descrição para logs
+   * @returns {Promise<Object>} { data, error, count, nextCursor, hasMore }
+   */
+  async fetchPage(table, options, context) {
+    const { orderColumn, pageSize = 25, cursor = null, range = null, applyFilters = query => query } = options;
+
+    const result = await this.withRetry(async () => {
+      let query = applyFilters(this.client.from(table).select('*', range ? { count: 'exact' } : undefined));
+
+      if (range) {
+        return await query
+          .order(orderColumn, { ascending: false })
+          .order('id', { ascending: false })
+          .range(range.from, range.to);
+      }
+
+      if (cursor) {
+        const position = this.decodeCursor(cursor);
+        query = query.or(`${orderColumn}.lt.${position.value},and(${orderColumn}.eq.${position.value},id.lt.${position.id})`);
+      }
+
+      // Busca um item extra para saber se há próxima página
+      return await query
+        .order(orderColumn, { ascending: false })
+        .order('id', { ascending: false })
+        .limit(pageSize + 1);
+    }, context, table);
+
+    let data = result.data || [];
+    let hasMore;
+
+    if (range) {
+      hasMore = result.count !== null && result.count !== undefined ? range.to + 1 < result.count : data.length === range.to - range.from + 1;
+    } else {
+      hasMore = data.length > pageSize;
+      data = data.slice(0, pageSize);
+    }
+
+    const last = data[data.length - 1];
+    return {
+      data,
+      error: null,
+      count: result.count !== undefined ? result.count : null,
+      nextCursor: hasMore && last ? this.encodeCursor(last, orderColumn) : null,
+      hasMore
+    };
+  }
+
+  encodeCursor(row, orderColumn) {
+    return btoa(JSON.stringify({ value: row[orderColumn], id: row.id }));
+  }
+
+  decodeCursor(cursor) {
+    try {
+      return JSON.parse(atob(cursor));
+    } catch (error) {
+      throw new Error('Cursor de paginação inválido');
+    }
+  }
+
+  // Remove caracteres reservados da sintaxe de filtros PostgREST
+  sanitizeSearchTerm(term) {
+    return typeof term === 'string' ? term.replace(/[,()%*\\]/g, ' ').trim().substring(0, 100) : '';
+  }
+
   // Utilitários de Cache
-  clearCacheByPattern(pattern) {
-    for (const key of this.cache.keys()) {
-      if (key.includes(pattern)) {
+  /**
+   * Invalida, aqui e no cacheManager, as entradas com qualquer uma das tags,
+   * e avisa as outras abas abertas (cacheSync)
+   * @param {string|Array} tags - Ex.: 'table:services' ou ['table:booking_rules', 'venue:1']
+   * @param {Object} options - { broadcast: false } ao aplicar uma invalidação
+   *   recebida de outra aba
+   */
+  invalidateCacheTags(tags, options = {}) {
+    const wanted = new Set(Array.isArray(tags) ? tags : [tags]);
+    for (const [key, cached] of this.cache.entries()) {
+      if (cached.tags.some(tag => wanted.has(tag))) {
         this.cache.delete(key);
       }
     }
+
+    if (window.cacheManager) {
+      cacheManager.invalidateByTag([...wanted]);
+    }
+
+    if (options.broadcast !== false && window.cacheSync) {
+      cacheSync.publishInvalidation([...wanted]);
+    }
   }
 
   clearAllCache() {
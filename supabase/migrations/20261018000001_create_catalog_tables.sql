@@ -0,0 +1,77 @@
+-- Tabelas do catálogo público: serviços, pacotes, fotos do espaço e vídeos.
+-- Colunas seguem DataModels.sanitizeService / sanitizePackage e os campos
+-- lidos por GalleryManager.processPhoto e VideosManager.processVideo.
+
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+create table if not exists public.services (
+  id bigint generated by default as identity primary key,
+  name text not null check (char_length(btrim(name)) > 0),
+  description text not null default '',
+  price_per_person numeric(10, 2) not null default 0 check (price_per_person >= 0),
+  category text not null default '',
+  image_url text,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists services_active_category_idx on public.services (active, category);
+
+create trigger services_set_updated_at
+  before update on public.services
+  for each row execute function public.set_updated_at();
+
+create table if not exists public.packages (
+  id bigint generated by default as identity primary key,
+  name text not null check (char_length(btrim(name)) > 0),
+  description text not null default '',
+  price_per_person numeric(10, 2) not null default 0 check (price_per_person >= 0),
+  event_type text not null default 'todos',
+  -- Lista de nomes de serviços incluídos (array JSON de strings)
+  services jsonb not null default '[]'::jsonb check (jsonb_typeof(services) = 'array'),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists packages_active_price_idx on public.packages (active, price_per_person);
+
+create trigger packages_set_updated_at
+  before update on public.packages
+  for each row execute function public.set_updated_at();
+
+create table if not exists public.space_photos (
+  id bigint generated by default as identity primary key,
+  title text not null default 'Foto do espaço',
+  description text not null default '',
+  image_url text not null,
+  category text not null default 'espaco',
+  active boolean not null default true,
+  upload_date timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+-- Paginação por cursor (upload_date, id) em getSpacePhotosPage
+create index if not exists space_photos_active_upload_idx on public.space_photos (active, upload_date desc, id desc);
+
+create table if not exists public.featured_videos (
+  id bigint generated by default as identity primary key,
+  title text not null default 'Vídeo do buffet',
+  description text not null default '',
+  video_url text not null,
+  thumbnail_url text,
+  active boolean not null default true,
+  added_date timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists featured_videos_active_added_idx on public.featured_videos (active, added_date desc);
@@ -0,0 +1,50 @@
+-- Orçamentos e agendamentos enviados pelos clientes.
+-- Colunas seguem DataModels.sanitizeQuote / sanitizeBooking.
+
+create table if not exists public.quotes (
+  id bigint generated by default as identity primary key,
+  client_name text not null check (char_length(btrim(client_name)) > 0),
+  client_email text,
+  client_phone text,
+  event_type text not null,
+  guest_count integer not null check (guest_count >= 1),
+  selected_services jsonb not null default '[]'::jsonb check (jsonb_typeof(selected_services) = 'array'),
+  total_amount numeric(10, 2) not null default 0 check (total_amount >= 0),
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  protocol_number text not null unique,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Paginação por cursor (created_at, id) e filtros de getQuotesPage
+create index if not exists quotes_created_idx on public.quotes (created_at desc, id desc);
+create index if not exists quotes_status_created_idx on public.quotes (status, created_at desc);
+create index if not exists quotes_event_type_idx on public.quotes (event_type);
+
+create trigger quotes_set_updated_at
+  before update on public.quotes
+  for each row execute function public.set_updated_at();
+
+create table if not exists public.bookings (
+  id bigint generated by default as identity primary key,
+  client_name text not null check (char_length(btrim(client_name)) > 0),
+  client_email text,
+  client_phone text,
+  event_date timestamptz not null,
+  event_type text not null,
+  guest_count integer not null check (guest_count >= 1),
+  event_details text not null default '',
+  status text not null default 'pending' check (status in ('pending', 'confirmed', 'completed', 'cancelled')),
+  protocol_number text not null unique,
+  cancellation_reason text,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists bookings_event_date_idx on public.bookings (event_date);
+create index if not exists bookings_status_event_date_idx on public.bookings (status, event_date);
+
+create trigger bookings_set_updated_at
+  before update on public.bookings
+  for each row execute function public.set_updated_at();
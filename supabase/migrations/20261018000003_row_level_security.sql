@@ -0,0 +1,62 @@
+-- Row Level Security
+--
+-- Visitantes (anon): leem apenas linhas ativas do catálogo e podem somente
+-- inserir orçamentos e agendamentos (sem leitura, edição ou exclusão).
+-- Administradores: usuários autenticados com app_metadata.role = 'admin'
+-- (definido via service role, não editável pelo próprio usuário).
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin';
+$$;
+
+alter table public.services enable row level security;
+alter table public.packages enable row level security;
+alter table public.space_photos enable row level security;
+alter table public.featured_videos enable row level security;
+alter table public.quotes enable row level security;
+alter table public.bookings enable row level security;
+
+-- Catálogo: leitura pública das linhas ativas, escrita só para admin
+create policy "services_public_read" on public.services
+  for select using (active or public.is_admin());
+create policy "services_admin_write" on public.services
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+create policy "packages_public_read" on public.packages
+  for select using (active or public.is_admin());
+create policy "packages_admin_write" on public.packages
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+create policy "space_photos_public_read" on public.space_photos
+  for select using (active or public.is_admin());
+create policy "space_photos_admin_write" on public.space_photos
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+create policy "featured_videos_public_read" on public.featured_videos
+  for select using (active or public.is_admin());
+create policy "featured_videos_admin_write" on public.featured_videos
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+-- Orçamentos: visitantes apenas inserem, sempre como pendentes
+create policy "quotes_public_insert" on public.quotes
+  for insert to anon, authenticated with check (status = 'pending');
+create policy "quotes_admin_read" on public.quotes
+  for select to authenticated using (public.is_admin());
+create policy "quotes_admin_update" on public.quotes
+  for update to authenticated using (public.is_admin()) with check (public.is_admin());
+create policy "quotes_admin_delete" on public.quotes
+  for delete to authenticated using (public.is_admin());
+
+-- Agendamentos: mesmo modelo dos orçamentos
+create policy "bookings_public_insert" on public.bookings
+  for insert to anon, authenticated with check (status = 'pending' and cancelled_at is null);
+create policy "bookings_admin_read" on public.bookings
+  for select to authenticated using (public.is_admin());
+create policy "bookings_admin_update" on public.bookings
+  for update to authenticated using (public.is_admin()) with check (public.is_admin());
+create policy "bookings_admin_delete" on public.bookings
+  for delete to authenticated using (public.is_admin());
@@ -0,0 +1,22 @@
+-- Bucket de imagens usado por SupabaseClient.uploadImage (leitura pública,
+-- upload e remoção apenas por administradores)
+
+insert into storage.buckets (id, name, public)
+values ('service-images', 'service-images', true)
+on conflict (id) do nothing;
+
+create policy "service_images_public_read" on storage.objects
+  for select using (bucket_id = 'service-images');
+create policy "service_images_admin_insert" on storage.objects
+  for insert to authenticated with check (bucket_id = 'service-images' and public.is_admin());
+create policy "service_images_admin_update" on storage.objects
+  for update to authenticated using (bucket_id = 'service-images' and public.is_admin());
+create policy "service_images_admin_delete" on storage.objects
+  for delete to authenticated using (bucket_id = 'service-images' and public.is_admin());
+
+-- Tabelas assinadas por SupabaseClient.subscribe (postgres_changes)
+alter publication supabase_realtime add table
+  public.services,
+  public.packages,
+  public.space_photos,
+  public.featured_videos;
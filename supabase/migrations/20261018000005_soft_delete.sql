@@ -0,0 +1,30 @@
+-- Soft delete do catálogo: itens excluídos vão para a lixeira (deleted_at)
+-- e só saem do banco por exclusão definitiva (SupabaseClient.purgeFromTrash).
+
+alter table public.services add column if not exists deleted_at timestamptz;
+alter table public.packages add column if not exists deleted_at timestamptz;
+alter table public.space_photos add column if not exists deleted_at timestamptz;
+alter table public.featured_videos add column if not exists deleted_at timestamptz;
+
+-- Lixeira do admin ordenada por data de exclusão
+create index if not exists services_deleted_at_idx on public.services (deleted_at desc) where deleted_at is not null;
+create index if not exists packages_deleted_at_idx on public.packages (deleted_at desc) where deleted_at is not null;
+create index if not exists space_photos_deleted_at_idx on public.space_photos (deleted_at desc) where deleted_at is not null;
+create index if not exists featured_videos_deleted_at_idx on public.featured_videos (deleted_at desc) where deleted_at is not null;
+
+-- Leitura pública passa a ignorar itens na lixeira
+drop policy if exists "services_public_read" on public.services;
+create policy "services_public_read" on public.services
+  for select using ((active and deleted_at is null) or public.is_admin());
+
+drop policy if exists "packages_public_read" on public.packages;
+create policy "packages_public_read" on public.packages
+  for select using ((active and deleted_at is null) or public.is_admin());
+
+drop policy if exists "space_photos_public_read" on public.space_photos;
+create policy "space_photos_public_read" on public.space_photos
+  for select using ((active and deleted_at is null) or public.is_admin());
+
+drop policy if exists "featured_videos_public_read" on public.featured_videos;
+create policy "featured_videos_public_read" on public.featured_videos
+  for select using ((active and deleted_at is null) or public.is_admin());
@@ -0,0 +1,28 @@
+-- Log de auditoria das mutações administrativas (audit-log.js).
+-- Somente inserção e leitura por administradores: sem políticas de update/delete,
+-- o histórico não pode ser alterado pela API.
+
+create table if not exists public.audit_log (
+  id bigint generated by default as identity primary key,
+  actor text not null default 'anônimo',
+  action text not null check (action in ('create', 'update', 'delete', 'status', 'restore', 'purge', 'upload')),
+  -- Tabela ('services'), bucket ('storage:service-images') ou dado local do admin ('site:services')
+  entity text not null,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  changed_fields jsonb not null default '[]'::jsonb,
+  method text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on public.audit_log (created_at desc, id desc);
+create index if not exists audit_log_entity_idx on public.audit_log (entity, entity_id);
+create index if not exists audit_log_actor_idx on public.audit_log (actor);
+
+alter table public.audit_log enable row level security;
+
+create policy "audit_log_admin_insert" on public.audit_log
+  for insert to authenticated with check (public.is_admin());
+create policy "audit_log_admin_read" on public.audit_log
+  for select to authenticated using (public.is_admin());
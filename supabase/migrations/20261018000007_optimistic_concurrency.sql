@@ -0,0 +1,25 @@
+-- Controle de concorrência otimista no catálogo: cada atualização incrementa
+-- version e SupabaseClient.updateService / updatePackage só gravam se a versão
+-- lida pelo admin ainda for a atual (senão o cliente lança ConflictError).
+
+alter table public.services add column if not exists version integer not null default 1;
+alter table public.packages add column if not exists version integer not null default 1;
+
+-- A versão é sempre derivada da anterior; o valor enviado pelo cliente é ignorado
+create or replace function public.bump_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version = old.version + 1;
+  return new;
+end;
+$$;
+
+create trigger services_bump_version
+  before update on public.services
+  for each row execute function public.bump_version();
+
+create trigger packages_bump_version
+  before update on public.packages
+  for each row execute function public.bump_version();
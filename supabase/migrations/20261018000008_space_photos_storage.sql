@@ -0,0 +1,18 @@
+-- Fotos do espaço enviadas pelo admin: arquivos no bucket space-photos
+-- (imagem otimizada + miniatura geradas pelo imagePipeline) e uma linha em
+-- space_photos apontando para os dois.
+
+alter table public.space_photos add column if not exists thumbnail_url text;
+
+insert into storage.buckets (id, name, public)
+values ('space-photos', 'space-photos', true)
+on conflict (id) do nothing;
+
+create policy "space_photos_files_public_read" on storage.objects
+  for select using (bucket_id = 'space-photos');
+create policy "space_photos_files_admin_insert" on storage.objects
+  for insert to authenticated with check (bucket_id = 'space-photos' and public.is_admin());
+create policy "space_photos_files_admin_update" on storage.objects
+  for update to authenticated using (bucket_id = 'space-photos' and public.is_admin());
+create policy "space_photos_files_admin_delete" on storage.objects
+  for delete to authenticated using (bucket_id = 'space-photos' and public.is_admin());
@@ -0,0 +1,187 @@
+-- Múltiplos salões: cada salão (venue) tem catálogo, preços, galeria, vídeos e
+-- agenda próprios. As linhas existentes ficam no salão padrão e
+-- SupabaseClient filtra todas as leituras pelo salão selecionado.
+-- Administradores gerais (role admin) gerenciam todos os salões; os demais
+-- administradores só os salões listados em venue_admins.
+
+create table if not exists public.venues (
+  id bigint generated by default as identity primary key,
+  slug text not null unique check (slug ~ '^[a-z0-9-]+$'),
+  name text not null check (char_length(btrim(name)) > 0),
+  address text not null default '',
+  phone text not null default '',
+  is_default boolean not null default false,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- No máximo um salão padrão
+create unique index if not exists venues_single_default_idx on public.venues (is_default) where is_default;
+
+create trigger venues_set_updated_at
+  before update on public.venues
+  for each row execute function public.set_updated_at();
+
+insert into public.venues (slug, name, is_default)
+values ('principal', 'Salão Principal', true)
+on conflict (slug) do nothing;
+
+create or replace function public.default_venue_id()
+returns bigint
+language sql
+stable
+as $$
+  select id from public.venues where is_default limit 1;
+$$;
+
+create table if not exists public.venue_admins (
+  venue_id bigint not null references public.venues (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (venue_id, user_id)
+);
+
+create index if not exists venue_admins_user_idx on public.venue_admins (user_id);
+
+-- security definer: venue_admins não é legível pelo próprio usuário via RLS
+create or replace function public.is_venue_admin(target_venue bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_admin()
+    or exists (select 1 from public.venue_admins where venue_id = target_venue and user_id = auth.uid());
+$$;
+
+create or replace function public.manages_any_venue()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_admin()
+    or exists (select 1 from public.venue_admins where user_id = auth.uid());
+$$;
+
+-- venue_id nas tabelas por salão; sem valor explícito, vai para o salão padrão
+alter table public.services add column if not exists venue_id bigint references public.venues (id) default public.default_venue_id();
+alter table public.packages add column if not exists venue_id bigint references public.venues (id) default public.default_venue_id();
+alter table public.space_photos add column if not exists venue_id bigint references public.venues (id) default public.default_venue_id();
+alter table public.featured_videos add column if not exists venue_id bigint references public.venues (id) default public.default_venue_id();
+alter table public.quotes add column if not exists venue_id bigint references public.venues (id) default public.default_venue_id();
+alter table public.bookings add column if not exists venue_id bigint references public.venues (id) default public.default_venue_id();
+
+update public.services set venue_id = public.default_venue_id() where venue_id is null;
+update public.packages set venue_id = public.default_venue_id() where venue_id is null;
+update public.space_photos set venue_id = public.default_venue_id() where venue_id is null;
+update public.featured_videos set venue_id = public.default_venue_id() where venue_id is null;
+update public.quotes set venue_id = public.default_venue_id() where venue_id is null;
+update public.bookings set venue_id = public.default_venue_id() where venue_id is null;
+
+alter table public.services alter column venue_id set not null;
+alter table public.packages alter column venue_id set not null;
+alter table public.space_photos alter column venue_id set not null;
+alter table public.featured_videos alter column venue_id set not null;
+alter table public.quotes alter column venue_id set not null;
+alter table public.bookings alter column venue_id set not null;
+
+create index if not exists services_venue_idx on public.services (venue_id, active);
+create index if not exists packages_venue_idx on public.packages (venue_id, active);
+create index if not exists space_photos_venue_idx on public.space_photos (venue_id, active, upload_date desc, id desc);
+create index if not exists featured_videos_venue_idx on public.featured_videos (venue_id, active, added_date desc);
+create index if not exists quotes_venue_created_idx on public.quotes (venue_id, created_at desc, id desc);
+create index if not exists bookings_venue_event_date_idx on public.bookings (venue_id, event_date);
+
+-- Salões: leitura pública dos ativos, cadastro só por administradores gerais
+alter table public.venues enable row level security;
+alter table public.venue_admins enable row level security;
+
+create policy "venues_public_read" on public.venues
+  for select using (active or public.is_admin());
+create policy "venues_admin_write" on public.venues
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+create policy "venue_admins_read" on public.venue_admins
+  for select to authenticated using (public.is_admin() or user_id = auth.uid());
+create policy "venue_admins_admin_write" on public.venue_admins
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+-- Catálogo: políticas de 0003/0005 passam a considerar o salão da linha
+drop policy if exists "services_public_read" on public.services;
+create policy "services_public_read" on public.services
+  for select using ((active and deleted_at is null) or public.is_venue_admin(venue_id));
+drop policy if exists "services_admin_write" on public.services;
+create policy "services_admin_write" on public.services
+  for all to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+
+drop policy if exists "packages_public_read" on public.packages;
+create policy "packages_public_read" on public.packages
+  for select using ((active and deleted_at is null) or public.is_venue_admin(venue_id));
+drop policy if exists "packages_admin_write" on public.packages;
+create policy "packages_admin_write" on public.packages
+  for all to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+
+drop policy if exists "space_photos_public_read" on public.space_photos;
+create policy "space_photos_public_read" on public.space_photos
+  for select using ((active and deleted_at is null) or public.is_venue_admin(venue_id));
+drop policy if exists "space_photos_admin_write" on public.space_photos;
+create policy "space_photos_admin_write" on public.space_photos
+  for all to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+
+drop policy if exists "featured_videos_public_read" on public.featured_videos;
+create policy "featured_videos_public_read" on public.featured_videos
+  for select using ((active and deleted_at is null) or public.is_venue_admin(venue_id));
+drop policy if exists "featured_videos_admin_write" on public.featured_videos;
+create policy "featured_videos_admin_write" on public.featured_videos
+  for all to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+
+-- Orçamentos e agendamentos: cada salão vê apenas os próprios
+drop policy if exists "quotes_admin_read" on public.quotes;
+create policy "quotes_admin_read" on public.quotes
+  for select to authenticated using (public.is_venue_admin(venue_id));
+drop policy if exists "quotes_admin_update" on public.quotes;
+create policy "quotes_admin_update" on public.quotes
+  for update to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+drop policy if exists "quotes_admin_delete" on public.quotes;
+create policy "quotes_admin_delete" on public.quotes
+  for delete to authenticated using (public.is_venue_admin(venue_id));
+
+drop policy if exists "bookings_admin_read" on public.bookings;
+create policy "bookings_admin_read" on public.bookings
+  for select to authenticated using (public.is_venue_admin(venue_id));
+drop policy if exists "bookings_admin_update" on public.bookings;
+create policy "bookings_admin_update" on public.bookings
+  for update to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+drop policy if exists "bookings_admin_delete" on public.bookings;
+create policy "bookings_admin_delete" on public.bookings
+  for delete to authenticated using (public.is_venue_admin(venue_id));
+
+-- Admins de salão também registram auditoria e enviam imagens (a leitura do
+-- histórico continua restrita aos administradores gerais)
+drop policy if exists "audit_log_admin_insert" on public.audit_log;
+create policy "audit_log_admin_insert" on public.audit_log
+  for insert to authenticated with check (public.manages_any_venue());
+
+drop policy if exists "service_images_admin_insert" on storage.objects;
+create policy "service_images_admin_insert" on storage.objects
+  for insert to authenticated with check (bucket_id = 'service-images' and public.manages_any_venue());
+drop policy if exists "service_images_admin_update" on storage.objects;
+create policy "service_images_admin_update" on storage.objects
+  for update to authenticated using (bucket_id = 'service-images' and public.manages_any_venue());
+drop policy if exists "service_images_admin_delete" on storage.objects;
+create policy "service_images_admin_delete" on storage.objects
+  for delete to authenticated using (bucket_id = 'service-images' and public.manages_any_venue());
+
+drop policy if exists "space_photos_files_admin_insert" on storage.objects;
+create policy "space_photos_files_admin_insert" on storage.objects
+  for insert to authenticated with check (bucket_id = 'space-photos' and public.manages_any_venue());
+drop policy if exists "space_photos_files_admin_update" on storage.objects;
+create policy "space_photos_files_admin_update" on storage.objects
+  for update to authenticated using (bucket_id = 'space-photos' and public.manages_any_venue());
+drop policy if exists "space_photos_files_admin_delete" on storage.objects;
+create policy "space_photos_files_admin_delete" on storage.objects
+  for delete to authenticated using (bucket_id = 'space-photos' and public.manages_any_venue());
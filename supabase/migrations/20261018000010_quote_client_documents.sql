@@ -0,0 +1,22 @@
+-- Dados fiscais do cliente no orçamento, para emissão de nota: pessoa física
+-- (CPF opcional) ou jurídica (CNPJ e razão social obrigatórios). Documentos
+-- são gravados sem pontuação; o CNPJ pode ser alfanumérico.
+
+alter table public.quotes add column if not exists client_type text not null default 'pf';
+alter table public.quotes add column if not exists client_document text;
+alter table public.quotes add column if not exists company_name text;
+
+alter table public.quotes add constraint quotes_client_type_check
+  check (client_type in ('pf', 'pj'));
+
+alter table public.quotes add constraint quotes_client_document_format_check
+  check (
+    client_document is null
+    or (client_type = 'pf' and client_document ~ '^[0-9]{11}$')
+    or (client_type = 'pj' and client_document ~ '^[0-9A-Z]{12}[0-9]{2}$')
+  );
+
+alter table public.quotes add constraint quotes_pj_fields_check
+  check (client_type = 'pf' or (client_document is not null and char_length(btrim(coalesce(company_name, ''))) > 0));
+
+create index if not exists quotes_client_document_idx on public.quotes (client_document) where client_document is not null;
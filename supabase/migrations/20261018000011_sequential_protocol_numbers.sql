@@ -0,0 +1,143 @@
+-- Protocolos sequenciais por ano (BS-2026-000123-8) com dígito verificador de
+-- Damm, no lugar dos códigos aleatórios gerados no cliente. O cliente reserva
+-- o número com allocate_protocol_number() antes de inserir o orçamento ou
+-- agendamento (visitantes não leem a linha inserida de volta), e o trigger
+-- claim_protocol_number só aceita números reservados e ainda não usados.
+-- Orçamentos criados offline guardam o protocolo provisório, que torna a
+-- reserva idempotente: reenviar o mesmo orçamento devolve o mesmo número.
+-- Protocolos antigos continuam válidos para consulta.
+
+create table if not exists public.protocol_counters (
+  year integer primary key,
+  last_sequence bigint not null default 0
+);
+
+create table if not exists public.protocol_allocations (
+  protocol_number text primary key,
+  year integer not null,
+  sequence bigint not null,
+  provisional_protocol text unique,
+  allocated_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  claimed_table text
+);
+
+-- Sem políticas: acesso apenas pelas funções security definer abaixo
+alter table public.protocol_counters enable row level security;
+alter table public.protocol_allocations enable row level security;
+
+alter table public.quotes add column if not exists provisional_protocol text;
+alter table public.bookings add column if not exists provisional_protocol text;
+
+create unique index if not exists quotes_provisional_protocol_idx on public.quotes (provisional_protocol) where provisional_protocol is not null;
+create unique index if not exists bookings_provisional_protocol_idx on public.bookings (provisional_protocol) where provisional_protocol is not null;
+
+-- Mesma tabela de ProtocolNumbers.checkDigit (protocol-numbers.js)
+create or replace function public.protocol_check_digit(body text)
+returns integer
+language plpgsql
+immutable
+as $$
+declare
+  damm constant integer[] := array[
+    [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+    [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+    [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+    [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+    [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+    [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+    [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+    [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+    [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+    [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+  ];
+  interim integer := 0;
+  digit_index integer;
+begin
+  for digit_index in 1..char_length(body) loop
+    interim := damm[interim + 1][substr(body, digit_index, 1)::integer + 1];
+  end loop;
+  return interim;
+end;
+$$;
+
+create or replace function public.allocate_protocol_number(provisional text default null)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  current_year integer := extract(year from now() at time zone 'America/Fortaleza')::integer;
+  next_sequence bigint;
+  padded text;
+  allocated text;
+begin
+  if provisional is not null then
+    select protocol_number into allocated
+      from public.protocol_allocations
+      where provisional_protocol = provisional;
+    if found then
+      return allocated;
+    end if;
+  end if;
+
+  insert into public.protocol_counters as counters (year, last_sequence)
+  values (current_year, 1)
+  on conflict (year) do update set last_sequence = counters.last_sequence + 1
+  returning last_sequence into next_sequence;
+
+  padded := lpad(next_sequence::text, greatest(6, char_length(next_sequence::text)), '0');
+  allocated := format('BS-%s-%s-%s', current_year, padded, public.protocol_check_digit(current_year::text || padded));
+
+  insert into public.protocol_allocations (protocol_number, year, sequence, provisional_protocol)
+  values (allocated, current_year, next_sequence, provisional);
+
+  return allocated;
+end;
+$$;
+
+revoke execute on function public.allocate_protocol_number(text) from public;
+grant execute on function public.allocate_protocol_number(text) to anon, authenticated;
+
+-- 23505 (já usado) permite ao cliente reconhecer um reenvio de algo já gravado
+create or replace function public.claim_protocol_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  allocation public.protocol_allocations%rowtype;
+begin
+  select * into allocation
+    from public.protocol_allocations
+    where protocol_number = new.protocol_number
+    for update;
+
+  if not found then
+    raise exception 'Protocolo % não foi reservado pelo backend', new.protocol_number
+      using errcode = '23514';
+  end if;
+
+  if allocation.claimed_at is not null then
+    raise exception 'Protocolo % já está em uso', new.protocol_number
+      using errcode = '23505';
+  end if;
+
+  update public.protocol_allocations
+    set claimed_at = now(), claimed_table = tg_table_name
+    where protocol_number = new.protocol_number;
+
+  new.provisional_protocol = allocation.provisional_protocol;
+  return new;
+end;
+$$;
+
+create trigger quotes_claim_protocol_number
+  before insert on public.quotes
+  for each row execute function public.claim_protocol_number();
+
+create trigger bookings_claim_protocol_number
+  before insert on public.bookings
+  for each row execute function public.claim_protocol_number();
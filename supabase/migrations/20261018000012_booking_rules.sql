@@ -0,0 +1,174 @@
+-- Regras de agenda por salão: antecedência mínima (geral e por tipo de
+-- evento), datas bloqueadas e feriados, limite de eventos por dia e
+-- intervalos de montagem/desmontagem. O motor em booking-rules.js aplica as
+-- regras no formulário e no calendário público; enforce_booking_rules as
+-- repete aqui para que nenhum agendamento escape delas.
+-- Visitantes não leem bookings (RLS), então o calendário usa
+-- get_booked_slots, que expõe só data e duração dos eventos marcados.
+
+create table if not exists public.booking_rules (
+  venue_id bigint primary key references public.venues (id) on delete cascade,
+  min_lead_days integer not null default 7 check (min_lead_days >= 0),
+  -- Chaves em minúsculas e sem acentos: {"casamento": 60, "formatura": 30}
+  lead_days_by_event_type jsonb not null default '{"casamento": 60}'::jsonb,
+  max_events_per_day integer not null default 2 check (max_events_per_day >= 1),
+  setup_minutes integer not null default 120 check (setup_minutes >= 0),
+  teardown_minutes integer not null default 60 check (teardown_minutes >= 0),
+  default_duration_minutes integer not null default 300 check (default_duration_minutes >= 1),
+  block_national_holidays boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create trigger booking_rules_set_updated_at
+  before update on public.booking_rules
+  for each row execute function public.set_updated_at();
+
+-- recurring: bloqueia o mesmo dia e mês todos os anos
+create table if not exists public.blackout_dates (
+  id bigint generated by default as identity primary key,
+  venue_id bigint not null references public.venues (id) on delete cascade default public.default_venue_id(),
+  date date not null,
+  reason text not null default '',
+  recurring boolean not null default false,
+  created_at timestamptz not null default now(),
+  unique (venue_id, date)
+);
+
+create index if not exists blackout_dates_venue_idx on public.blackout_dates (venue_id, date);
+
+-- Duração prevista do evento; sem valor, vale default_duration_minutes do salão
+alter table public.bookings add column if not exists duration_minutes integer check (duration_minutes is null or duration_minutes >= 1);
+
+alter table public.booking_rules enable row level security;
+alter table public.blackout_dates enable row level security;
+
+create policy "booking_rules_public_read" on public.booking_rules
+  for select using (true);
+create policy "booking_rules_admin_write" on public.booking_rules
+  for all to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+
+create policy "blackout_dates_public_read" on public.blackout_dates
+  for select using (true);
+create policy "blackout_dates_admin_write" on public.blackout_dates
+  for all to authenticated using (public.is_venue_admin(venue_id)) with check (public.is_venue_admin(venue_id));
+
+-- Ocupação da agenda para o calendário público, sem dados dos clientes
+create or replace function public.get_booked_slots(target_venue bigint, range_start timestamptz, range_end timestamptz)
+returns table (event_date timestamptz, duration_minutes integer, status text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select b.event_date, b.duration_minutes, b.status
+    from public.bookings b
+    where b.venue_id = coalesce(target_venue, public.default_venue_id())
+      and b.status <> 'cancelled'
+      and b.event_date >= range_start
+      and b.event_date <= range_end
+    order by b.event_date;
+$$;
+
+revoke execute on function public.get_booked_slots(bigint, timestamptz, timestamptz) from public;
+grant execute on function public.get_booked_slots(bigint, timestamptz, timestamptz) to anon, authenticated;
+
+-- Mesmas verificações de BookingRules.check (booking-rules.js). A
+-- antecedência vale só para novos pedidos; capacidade e conflito de horário
+-- também para remarcações. 23514 é tratado pelo cliente como erro de validação.
+create or replace function public.enforce_booking_rules()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  time_zone constant text := 'America/Fortaleza';
+  national_holidays constant text[] := array['01-01', '04-21', '05-01', '09-07', '10-12', '11-02', '11-15', '11-20', '12-25'];
+  rules public.booking_rules%rowtype;
+  event_day date := (new.event_date at time zone time_zone)::date;
+  lead_days integer;
+  event_type_key text;
+  occupied tstzrange;
+begin
+  if new.status = 'cancelled' then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE'
+    and new.event_date = old.event_date
+    and new.duration_minutes is not distinct from old.duration_minutes
+    and old.status <> 'cancelled' then
+    return new;
+  end if;
+
+  select * into rules from public.booking_rules where venue_id = new.venue_id;
+  if not found then
+    rules.min_lead_days := 7;
+    rules.lead_days_by_event_type := '{"casamento": 60}'::jsonb;
+    rules.max_events_per_day := 2;
+    rules.setup_minutes := 120;
+    rules.teardown_minutes := 60;
+    rules.default_duration_minutes := 300;
+    rules.block_national_holidays := true;
+  end if;
+
+  -- Pedidos simultâneos para o mesmo dia do mesmo salão são verificados um de cada vez
+  perform pg_advisory_xact_lock(new.venue_id::integer, event_day - date '2000-01-01');
+
+  if tg_op = 'INSERT' then
+    if new.event_date < now() then
+      raise exception 'Data do evento não pode ser no passado' using errcode = '23514';
+    end if;
+
+    event_type_key := translate(lower(btrim(new.event_type)), 'áàâãäéèêëíìîïóòôõöúùûüç', 'aaaaaeeeeiiiiooooouuuuc');
+    lead_days := coalesce((rules.lead_days_by_event_type ->> event_type_key)::integer, rules.min_lead_days);
+    if event_day < (now() at time zone time_zone)::date + lead_days then
+      raise exception 'Eventos do tipo % precisam ser agendados com % dias de antecedência', new.event_type, lead_days
+        using errcode = '23514';
+    end if;
+  end if;
+
+  if exists (
+    select 1 from public.blackout_dates
+      where venue_id = new.venue_id
+        and (date = event_day or (recurring and to_char(date, 'MM-DD') = to_char(event_day, 'MM-DD')))
+  ) or (rules.block_national_holidays and to_char(event_day, 'MM-DD') = any(national_holidays)) then
+    raise exception 'Não realizamos eventos em %', to_char(event_day, 'DD/MM/YYYY') using errcode = '23514';
+  end if;
+
+  if (
+    select count(*) from public.bookings
+      where venue_id = new.venue_id
+        and id is distinct from new.id
+        and status <> 'cancelled'
+        and (event_date at time zone time_zone)::date = event_day
+  ) >= rules.max_events_per_day then
+    raise exception 'Limite de % evento(s) por dia já atingido em %', rules.max_events_per_day, to_char(event_day, 'DD/MM/YYYY')
+      using errcode = '23514';
+  end if;
+
+  occupied := tstzrange(
+    new.event_date - make_interval(mins => rules.setup_minutes),
+    new.event_date + make_interval(mins => coalesce(new.duration_minutes, rules.default_duration_minutes) + rules.teardown_minutes)
+  );
+  if exists (
+    select 1 from public.bookings b
+      where b.venue_id = new.venue_id
+        and b.id is distinct from new.id
+        and b.status <> 'cancelled'
+        and tstzrange(
+          b.event_date - make_interval(mins => rules.setup_minutes),
+          b.event_date + make_interval(mins => coalesce(b.duration_minutes, rules.default_duration_minutes) + rules.teardown_minutes)
+        ) && occupied
+  ) then
+    raise exception 'Horário em conflito com outro evento (montagem e desmontagem incluídas)' using errcode = '23514';
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger bookings_enforce_booking_rules
+  before insert or update on public.bookings
+  for each row execute function public.enforce_booking_rules();
@@ -0,0 +1,101 @@
+-- Total do orçamento calculado pelo catálogo, não pelo navegador. O trigger
+-- price_quote refaz o cálculo de quote-pricing.js com os preços atuais de
+-- services e packages do salão: grava os preços do catálogo em
+-- selected_services e total_amount, guarda o total enviado em
+-- client_total_amount (price_mismatch quando diferem) e um snapshot com id e
+-- versão de cada item do catálogo usado. Itens fora do catálogo recusam o
+-- orçamento.
+
+alter table public.quotes add column if not exists client_total_amount numeric(10, 2);
+alter table public.quotes add column if not exists price_mismatch boolean not null default false;
+alter table public.quotes add column if not exists price_snapshot jsonb;
+
+create index if not exists quotes_price_mismatch_idx on public.quotes (venue_id, created_at desc) where price_mismatch;
+
+-- Mesmo cálculo de QuotePricing.priceQuote (quote-pricing.js)
+create or replace function public.price_quote()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  item jsonb;
+  item_name text;
+  item_quantity integer;
+  entry record;
+  line_total numeric(12, 2);
+  computed_total numeric(12, 2) := 0;
+  priced_items jsonb := '[]'::jsonb;
+  snapshot_items jsonb := '[]'::jsonb;
+begin
+  for item in select value from jsonb_array_elements(coalesce(new.selected_services, '[]'::jsonb)) loop
+    item_name := btrim(coalesce(item ->> 'name', ''));
+
+    -- Nome repetido: vale o serviço, depois o de menor id
+    select * into entry from (
+      select 'service' as kind, 0 as kind_order, s.id, s.name, s.price_per_person, s.version
+        from public.services s
+        where s.venue_id = new.venue_id and s.active and s.deleted_at is null
+          and lower(regexp_replace(btrim(s.name), '\s+', ' ', 'g')) = lower(regexp_replace(item_name, '\s+', ' ', 'g'))
+      union all
+      select 'package', 1, p.id, p.name, p.price_per_person, p.version
+        from public.packages p
+        where p.venue_id = new.venue_id and p.active and p.deleted_at is null
+          and lower(regexp_replace(btrim(p.name), '\s+', ' ', 'g')) = lower(regexp_replace(item_name, '\s+', ' ', 'g'))
+    ) catalog
+    where item_name <> ''
+    order by kind_order, id
+    limit 1;
+
+    if not found then
+      raise exception 'Serviço fora do catálogo: %', coalesce(nullif(item_name, ''), '(sem nome)')
+        using errcode = '23514';
+    end if;
+
+    if coalesce(item ->> 'quantity', '') = '' then
+      item_quantity := new.guest_count;
+    elsif (item ->> 'quantity') ~ '^[0-9]+$' then
+      item_quantity := (item ->> 'quantity')::integer;
+    else
+      item_quantity := null;
+    end if;
+
+    if item_quantity is null or item_quantity < 1 then
+      raise exception 'Quantidade inválida para %', entry.name using errcode = '23514';
+    end if;
+
+    line_total := round(entry.price_per_person * item_quantity, 2);
+    computed_total := computed_total + line_total;
+
+    priced_items := priced_items || jsonb_build_array(jsonb_build_object(
+      'name', entry.name,
+      'quantity', item_quantity,
+      'price_per_unit', entry.price_per_person,
+      'total', line_total
+    ));
+    snapshot_items := snapshot_items || jsonb_build_array(jsonb_build_object(
+      'kind', entry.kind,
+      'catalog_id', entry.id,
+      'version', entry.version,
+      'name', entry.name,
+      'quantity', item_quantity,
+      'price_per_unit', entry.price_per_person,
+      'total', line_total,
+      'client_price_per_unit', item -> 'price_per_unit'
+    ));
+  end loop;
+
+  new.client_total_amount := new.total_amount;
+  new.price_mismatch := new.total_amount is distinct from computed_total;
+  new.total_amount := computed_total;
+  new.selected_services := priced_items;
+  new.price_snapshot := jsonb_build_object('priced_at', now(), 'items', snapshot_items, 'total', computed_total);
+
+  return new;
+end;
+$$;
+
+create trigger quotes_price_quote
+  before insert on public.quotes
+  for each row execute function public.price_quote();
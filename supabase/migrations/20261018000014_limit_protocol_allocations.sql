@@ -0,0 +1,75 @@
+-- Limites para allocate_protocol_number, que visitantes (anon) podem chamar:
+-- sem eles, qualquer um enche protocol_allocations de reservas nunca usadas.
+-- Reservas não usadas em 24 horas são apagadas a cada nova reserva (o
+-- contador do ano não volta, então o número não é reaproveitado), e cada
+-- origem pode manter até 20 reservas não usadas por hora. A origem é o
+-- último IP de x-forwarded-for, o que o proxy do Supabase acrescenta; os
+-- anteriores vêm do cliente e podem ser inventados. Não há teto geral: um
+-- único script esgotaria a cota de todos os visitantes.
+-- Administradores (de qualquer salão) não têm limite. Repetir o mesmo
+-- protocolo provisório devolve a reserva existente e não conta no limite.
+
+alter table public.protocol_allocations add column if not exists requester text;
+
+create index if not exists protocol_allocations_unclaimed_idx
+  on public.protocol_allocations (allocated_at)
+  where claimed_at is null;
+
+create index if not exists protocol_allocations_requester_idx
+  on public.protocol_allocations (requester, allocated_at)
+  where claimed_at is null;
+
+create or replace function public.allocate_protocol_number(provisional text default null)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  current_year integer := extract(year from now() at time zone 'America/Fortaleza')::integer;
+  headers json := nullif(current_setting('request.headers', true), '')::json;
+  hops text[] := string_to_array(headers ->> 'x-forwarded-for', ',');
+  -- Sem cabeçalho (chamada fora do proxy), todos dividem a mesma cota
+  origin text := coalesce(nullif(btrim(hops[array_length(hops, 1)]), ''), 'desconhecida');
+  next_sequence bigint;
+  padded text;
+  allocated text;
+begin
+  delete from public.protocol_allocations
+    where claimed_at is null and allocated_at < now() - interval '24 hours';
+
+  if provisional is not null then
+    select protocol_number into allocated
+      from public.protocol_allocations
+      where provisional_protocol = provisional;
+    if found then
+      return allocated;
+    end if;
+  end if;
+
+  -- PT429: o PostgREST responde 429, que o cliente trata como rate_limit
+  if not public.manages_any_venue() and (
+    select count(*) from public.protocol_allocations
+      where requester = origin and claimed_at is null and allocated_at > now() - interval '1 hour'
+  ) >= 20 then
+    raise exception 'Muitas reservas de protocolo; tente novamente mais tarde'
+      using errcode = 'PT429';
+  end if;
+
+  insert into public.protocol_counters as counters (year, last_sequence)
+  values (current_year, 1)
+  on conflict (year) do update set last_sequence = counters.last_sequence + 1
+  returning last_sequence into next_sequence;
+
+  padded := lpad(next_sequence::text, greatest(6, char_length(next_sequence::text)), '0');
+  allocated := format('BS-%s-%s-%s', current_year, padded, public.protocol_check_digit(current_year::text || padded));
+
+  insert into public.protocol_allocations (protocol_number, year, sequence, provisional_protocol, requester)
+  values (allocated, current_year, next_sequence, provisional, origin);
+
+  return allocated;
+end;
+$$;
+
+revoke execute on function public.allocate_protocol_number(text) from public;
+grant execute on function public.allocate_protocol_number(text) to anon, authenticated;
@@ -0,0 +1,20 @@
+-- Autor das entradas de auditoria definido pelo servidor. O valor de actor
+-- enviado pelo navegador é ignorado: qualquer sessão de admin poderia pôr o
+-- nome de outra pessoa no histórico. O trigger grava o e-mail do usuário
+-- autenticado (ou o id, sem e-mail); sem sessão, 'anônimo'.
+
+create or replace function public.set_audit_actor()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.actor := coalesce(nullif(auth.jwt() ->> 'email', ''), auth.uid()::text, 'anônimo');
+  return new;
+end;
+$$;
+
+create trigger audit_log_set_actor
+  before insert on public.audit_log
+  for each row execute function public.set_audit_actor();
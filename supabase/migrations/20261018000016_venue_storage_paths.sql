@@ -0,0 +1,49 @@
+-- Imagens por salão: o cliente envia os arquivos para a pasta <venue_id>/ do
+-- bucket (SupabaseClient.venueStoragePath) e as políticas de escrita de
+-- service-images e space-photos passam a exigir admin daquele salão, em vez
+-- de admin de qualquer salão. Arquivos antigos, fora de uma pasta de salão,
+-- só podem ser alterados ou removidos por administradores gerais.
+
+-- Salão dono de um objeto do storage, pela primeira pasta do caminho
+create or replace function public.storage_object_venue(object_name text)
+returns bigint
+language sql
+immutable
+as $$
+  select case
+    when object_name ~ '^[0-9]+/' then split_part(object_name, '/', 1)::bigint
+  end;
+$$;
+
+-- is_venue_admin(null) só vale para administradores gerais
+create or replace function public.manages_venue_object(object_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_venue_admin(public.storage_object_venue(object_name));
+$$;
+
+drop policy if exists "service_images_admin_insert" on storage.objects;
+create policy "service_images_admin_insert" on storage.objects
+  for insert to authenticated with check (bucket_id = 'service-images' and public.manages_venue_object(name));
+drop policy if exists "service_images_admin_update" on storage.objects;
+create policy "service_images_admin_update" on storage.objects
+  for update to authenticated using (bucket_id = 'service-images' and public.manages_venue_object(name))
+  with check (bucket_id = 'service-images' and public.manages_venue_object(name));
+drop policy if exists "service_images_admin_delete" on storage.objects;
+create policy "service_images_admin_delete" on storage.objects
+  for delete to authenticated using (bucket_id = 'service-images' and public.manages_venue_object(name));
+
+drop policy if exists "space_photos_files_admin_insert" on storage.objects;
+create policy "space_photos_files_admin_insert" on storage.objects
+  for insert to authenticated with check (bucket_id = 'space-photos' and public.manages_venue_object(name));
+drop policy if exists "space_photos_files_admin_update" on storage.objects;
+create policy "space_photos_files_admin_update" on storage.objects
+  for update to authenticated using (bucket_id = 'space-photos' and public.manages_venue_object(name))
+  with check (bucket_id = 'space-photos' and public.manages_venue_object(name));
+drop policy if exists "space_photos_files_admin_delete" on storage.objects;
+create policy "space_photos_files_admin_delete" on storage.objects
+  for delete to authenticated using (bucket_id = 'space-photos' and public.manages_venue_object(name));
@@ -0,0 +1,39 @@
+-- Gerado por scripts/generate-seed.js a partir dos dados de fallback dos managers.
+-- Não edite manualmente: altere os getFallback*() e rode `npm run db:seed`.
+
+-- services
+insert into public.services (name, description, price_per_person, category, image_url, active)
+select * from (values
+  ('Buffet Completo', 'Salgados, doces, bebidas e serviço completo', 45, 'buffet', null, true),
+  ('Bolo Personalizado', 'Bolos temáticos e personalizados para sua festa', 120, 'doces', null, true),
+  ('Decoração Temática', 'Decoração completa para todos os tipos de festa', 200, 'decoracao', null, true),
+  ('Coffee Break Corporativo', 'Café, salgados, doces e sucos para eventos empresariais', 25, 'corporativo', null, true)
+) as seed (name, description, price_per_person, category, image_url, active)
+where not exists (select 1 from public.services);
+
+-- packages
+insert into public.packages (name, description, price_per_person, event_type, services, active)
+select * from (values
+  ('Pacote Básico', 'Ideal para eventos menores e orçamento controlado', 35, 'todos', '["Buffet simples","Refrigerantes","Bolo básico","Decoração simples"]'::jsonb, true),
+  ('Pacote Completo', 'Tudo que você precisa para uma festa inesquecível', 55, 'todos', '["Buffet completo","Bebidas variadas","Bolo personalizado","Decoração temática","Serviço de garçons"]'::jsonb, true),
+  ('Pacote Premium', 'O máximo em sofisticação e qualidade', 85, 'casamento', '["Buffet gourmet","Bar completo","Bolo de múltiplos andares","Decoração luxuosa","Serviço completo","Música ambiente"]'::jsonb, true),
+  ('Pacote Corporativo', 'Profissional e elegante para eventos empresariais', 45, 'corporativo', '["Coffee break","Almoço executivo","Bebidas não alcoólicas","Decoração corporativa","Serviço discreto"]'::jsonb, true)
+) as seed (name, description, price_per_person, event_type, services, active)
+where not exists (select 1 from public.packages);
+
+-- space_photos
+insert into public.space_photos (title, description, image_url, category, active)
+select * from (values
+  ('Salão Principal', 'Amplo salão para eventos de todos os tamanhos', 'https://images.unsplash.com/photo-1519225421980-715cb0215aed?w=400', 'espaco', true),
+  ('Área Externa', 'Jardim e área externa para cerimônias', 'https://images.unsplash.com/photo-1464366400600-7168b8af9bc3?w=400', 'espaco', true),
+  ('Cozinha Profissional', 'Cozinha equipada para grandes eventos', 'https://images.unsplash.com/photo-1555244162-803834f70033?w=400', 'cozinha', true)
+) as seed (title, description, image_url, category, active)
+where not exists (select 1 from public.space_photos);
+
+-- featured_videos
+insert into public.featured_videos (title, description, video_url, thumbnail_url, active)
+select * from (values
+  ('Tour pelo Nosso Espaço', 'Conheça todas as áreas do nosso buffet em um tour completo', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg', true),
+  ('Festa de Aniversário - Cliente Satisfeito', 'Veja como foi a festa de aniversário da Maria, com 150 convidados', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg', true)
+) as seed (title, description, video_url, thumbnail_url, active)
+where not exists (select 1 from public.featured_videos);
@@ -5,6 +5,7 @@ class VideosManager {
     this.isLoading = false;
     this.lastLoadTime = null;
     this.fallbackVideos = this.getFallbackVideos();
+    this.unsubscribeRealtime = null;
   }
 
   /**
@@ -17,6 +18,7 @@ class VideosManager {
     
     // Verificar cache primeiro
     if (useCache) {
+      await cacheManager.ready; // entradas salvas em visitas anteriores
       const cacheKey = cacheManager.generateKey('featured_videos');
       const cached = cacheManager.get(cacheKey);
       if (cached) {
@@ -26,12 +28,15 @@ class VideosManager {
       }
     }
 
-    // Evitar múltiplas requisições simultâneas
-    if (this.isLoading) {
-      console.log('⏳ Carregamento já em andamento...');
-      return this.videos;
-    }
+    // Chamadas simultâneas esperam a mesma requisição e recebem o mesmo resultado
+    return await cacheManager.dedupe(cacheManager.generateKey('featured_videos'), () => this.fetchFeaturedVideos());
+  }
 
+  /**
+   * Busca os vídeos no Supabase, com fallback local, e guarda no cache
+   * @returns {Promise<Array>} Lista de vídeos
+   */
+  async fetchFeaturedVideos() {
     this.isLoading = true;
 
     try {
@@ -44,7 +49,7 @@ class VideosManager {
         
         // Salvar no cache
         const cacheKey = cacheManager.generateKey('featured_videos');
-        cacheManager.set(cacheKey, this.videos);
+        cacheManager.set(cacheKey, this.videos, undefined, { tags: ['table:featured_videos'] });
         
         console.log(`✅ ${this.videos.length} vídeos carregados do Supabase`);
         this.renderVideos();
@@ -499,10 +504,37 @@ class VideosManager {
    */
   async refreshVideos() {
     console.log('🔄 Forçando atualização de vídeos...');
-    cacheManager.invalidate('featured_videos');
+    cacheManager.invalidateByTag('table:featured_videos');
     return await this.loadFeaturedVideos(false);
   }
 
+  /**
+   * Assina mudanças da tabela de vídeos para atualizar a seção em tempo real
+   */
+  enableRealtime() {
+    if (this.unsubscribeRealtime || !window.supabaseClient) return;
+    this.unsubscribeRealtime = supabaseClient.subscribe('featured_videos', (change) => this.handleRealtimeChange(change));
+  }
+
+  /**
+   * Recarrega e re-renderiza os vídeos no lugar após mudança remota
+   * @param {Object} change - Evento de mudança { eventType, new, old }
+   */
+  async handleRealtimeChange(change) {
+    console.log(`📡 Vídeos alterados (${change.eventType}), atualizando...`);
+
+    const result = await this.loadFromSupabase();
+    if (!result.success) {
+      console.warn('⚠️ Falha ao atualizar vídeos em tempo real:', result.error);
+      return;
+    }
+
+    this.videos = result.data;
+    this.lastLoadTime = Date.now();
+    cacheManager.set(cacheManager.generateKey('featured_videos'), this.videos, undefined, { tags: ['table:featured_videos'] });
+    this.renderVideos();
+  }
+
   /**
    * Retorna estatísticas dos vídeos
    * @returns {Object} Estatísticas
@@ -523,6 +555,9 @@ const videosManager = new VideosManager();
 // Exportar para uso global
 if (typeof window !== 'undefined') {
   window.videosManager = videosManager;
+
+  // Atualizações em tempo real
+  videosManager.enableRealtime();
 }
 
 console.log('✅ Videos Manager inicializado');
\ No newline at end of file